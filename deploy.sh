@@ -150,5 +150,5 @@ echo ""
 print_status "Useful commands:"
 echo "  View logs:        docker-compose logs -f"
 echo "  Check status:     docker-compose ps"
-echo "  View sync logs:   docker exec -it halo-reporting tail -f /var/log/sync.log"
+echo "  View app logs:    docker exec -it halo-reporting tail -f /var/log/app.log"
 echo ""
@@ -1,29 +1,16 @@
 #!/bin/sh
 # Docker entrypoint script
-# Starts both cron and the Node.js application
+# Starts the Node.js application (which also runs the scheduled jobs)
 
 set -e
 
 echo "Starting HaloPSA Reporting Dashboard..."
 
-# Ensure log files exist with correct permissions
-touch /var/log/sync.log
+# Ensure log file exists with correct permissions
 touch /var/log/app.log
-chmod 666 /var/log/sync.log
 chmod 666 /var/log/app.log
-echo "Log files ready:"
-echo "  - Sync logs: /var/log/sync.log"
-echo "  - App logs:  /var/log/app.log"
-
-# Start cron daemon in the background (runs as root for cron functionality)
-echo "Starting cron daemon..."
-crond -b -l 2
-
-# Wait a moment for cron to start
-sleep 1
-
-echo "Cron daemon started. Sync will run daily at 2am UTC."
-echo "Logs available at: /var/log/sync.log"
+echo "App logs: /var/log/app.log"
+echo "Scheduled jobs (HaloPSA sync etc.) run in the app - manage them at /admin-jobs.html"
 
 # Start the Node.js application (runs as nodejs user via su)
 echo "Starting Node.js application on port ${PORT:-3100}..."
@@ -0,0 +1,146 @@
+// HaloPSA sources (instances) feeding the dashboard
+// The primary source uses HALO_API_URL / HALO_CLIENT_ID / HALO_CLIENT_SECRET. Extra sources are
+// listed in HALO_SOURCES (e.g. "acme,contoso") with HALO_<NAME>_API_URL, HALO_<NAME>_CLIENT_ID,
+// HALO_<NAME>_CLIENT_SECRET and optionally HALO_<NAME>_WEBHOOK_SECRET.
+// HaloPSA IDs are only unique within one instance, so each source's IDs are stored offset by the
+// source's id_offset from halo_sources. The primary source has offset 0 (IDs stored unchanged).
+
+const PRIMARY_SOURCE = 'primary';
+
+// ID range given to each source - HaloPSA IDs are 32-bit integers, so they fit with room to spare
+const SOURCE_ID_SPAN = 10000000000;
+
+/**
+ * Read the configured sources from the environment
+ *
+ * @returns {Array<Object>} [{ name, apiUrl, authUrl, clientId, clientSecret, webhookSecret }]
+ * @throws {Error} If a name in HALO_SOURCES is invalid
+ */
+function getSourceConfigs() {
+  const configs = [];
+
+  const addSource = (name, prefix) => {
+    const apiUrl = process.env[`${prefix}_API_URL`];
+
+    configs.push({
+      name,
+      apiUrl,
+      authUrl: apiUrl ? apiUrl.replace('/api', '/auth') : null,
+      clientId: process.env[`${prefix}_CLIENT_ID`],
+      clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+      webhookSecret: process.env[`${prefix}_WEBHOOK_SECRET`] || null
+    });
+  };
+
+  if (process.env.HALO_API_URL) {
+    addSource(PRIMARY_SOURCE, 'HALO');
+  }
+
+  (process.env.HALO_SOURCES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(name => {
+      if (!/^[a-z0-9_]+$/.test(name) || name === PRIMARY_SOURCE) {
+        throw new Error(`Invalid HaloPSA source name "${name}" in HALO_SOURCES (use letters, numbers and _; "${PRIMARY_SOURCE}" is reserved)`);
+      }
+
+      addSource(name, `HALO_${name.toUpperCase()}`);
+    });
+
+  return configs;
+}
+
+/**
+ * Configured sources missing any of their API URL, client ID or client secret
+ */
+function findIncompleteSources(configs) {
+  return configs.filter(config => !config.apiUrl || !config.clientId || !config.clientSecret);
+}
+
+/**
+ * Load the ID offset of every configured source from halo_sources
+ * A source configured for the first time is registered with the next free offset.
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @returns {Promise<Array<Object>>} The configs from getSourceConfigs with idOffset added
+ */
+async function loadSources(supabase) {
+  const configs = getSourceConfigs();
+
+  const { data: rows, error } = await supabase
+    .from('halo_sources')
+    .select('name, id_offset');
+
+  if (error) {
+    // Installs that haven't run the sources migration only have the primary source
+    if (configs.every(config => config.name === PRIMARY_SOURCE)) {
+      console.warn('Could not load HaloPSA sources, using the primary source only:', error.message);
+      return configs.map(config => ({ ...config, idOffset: 0 }));
+    }
+
+    throw error;
+  }
+
+  const offsets = new Map(rows.map(row => [row.name, Number(row.id_offset)]));
+  let nextOffset = Math.max(0, ...offsets.values()) + SOURCE_ID_SPAN;
+
+  for (const config of configs) {
+    if (offsets.has(config.name)) continue;
+
+    const idOffset = config.name === PRIMARY_SOURCE ? 0 : nextOffset;
+
+    const { error: insertError } = await supabase
+      .from('halo_sources')
+      .insert({ name: config.name, id_offset: idOffset });
+
+    if (insertError) {
+      // Registered by another process in the meantime - loading again picks up its offset
+      if (insertError.code === '23505') {
+        return loadSources(supabase);
+      }
+
+      throw insertError;
+    }
+
+    console.log(`Registered HaloPSA source "${config.name}" (IDs offset by ${idOffset})`);
+
+    offsets.set(config.name, idOffset);
+    if (idOffset === nextOffset) nextOffset += SOURCE_ID_SPAN;
+  }
+
+  return configs.map(config => ({ ...config, idOffset: offsets.get(config.name) }));
+}
+
+/**
+ * ID a HaloPSA record of a source is stored under (null/undefined stay as they are)
+ */
+function toStoredId(source, haloId) {
+  return haloId === null || haloId === undefined ? haloId : source.idOffset + haloId;
+}
+
+/**
+ * The HaloPSA ID of a stored record, as shown in its own HaloPSA instance
+ */
+function toHaloId(storedId) {
+  return storedId % SOURCE_ID_SPAN;
+}
+
+/**
+ * Per-source name for sync state keyed by text (watermarks, checkpoints, locks)
+ * The primary source keeps the plain key, so existing state carries on.
+ */
+function sourceKey(source, key) {
+  return source.name === PRIMARY_SOURCE ? key : `${source.name}:${key}`;
+}
+
+module.exports = {
+  PRIMARY_SOURCE,
+  SOURCE_ID_SPAN,
+  getSourceConfigs,
+  findIncompleteSources,
+  loadSources,
+  toStoredId,
+  toHaloId,
+  sourceKey
+};
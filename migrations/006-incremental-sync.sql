@@ -0,0 +1,51 @@
+-- =====================================================
+-- Incremental Sync Migration
+-- =====================================================
+-- This migration adds a per sync type high-water mark so the
+-- sync service can fetch only records changed since the last
+-- successful run, and records which mode each run used
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: sync_watermarks
+-- =====================================================
+-- One row per sync type holding the newest change timestamp
+-- seen by the last successful sync (e.g. ticket lastactiondate)
+
+CREATE TABLE IF NOT EXISTS sync_watermarks (
+  sync_type TEXT PRIMARY KEY,
+  watermark TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- ALTER TABLE: sync_metadata
+-- =====================================================
+-- sync_mode: 'full' (date window) or 'incremental' (since watermark)
+-- records_changed: records that were new or modified in this run
+--   (NULL for sync types that don't track changes)
+
+ALTER TABLE sync_metadata ADD COLUMN IF NOT EXISTS sync_mode TEXT DEFAULT 'full';
+ALTER TABLE sync_metadata ADD COLUMN IF NOT EXISTS records_changed INTEGER;
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_tickets_last_action_date ON tickets(last_action_date);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sync_watermarks ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sync watermarks"
+  ON sync_watermarks
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,52 @@
+-- =====================================================
+-- Ticket Actions (Time Entries) Migration
+-- =====================================================
+-- This migration creates the table for HaloPSA ticket actions
+-- so reports can show time spent per client and month
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: ticket_actions
+-- =====================================================
+-- One row per HaloPSA action. minutes is the time taken on the
+-- action; billable_minutes is the part charged to the customer
+
+CREATE TABLE IF NOT EXISTS ticket_actions (
+  id INTEGER PRIMARY KEY,
+  ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  agent_id INTEGER,
+  agent_name TEXT,
+  action_date TIMESTAMP NOT NULL,
+  outcome TEXT,
+  note TEXT,
+  minutes NUMERIC(10, 2) DEFAULT 0,
+  billable_minutes NUMERIC(10, 2) DEFAULT 0,
+  billable BOOLEAN DEFAULT false,
+  charge_rate NUMERIC(10, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_ticket_actions_ticket_id ON ticket_actions(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_actions_action_date ON ticket_actions(action_date);
+CREATE INDEX IF NOT EXISTS idx_ticket_actions_agent_id ON ticket_actions(agent_id);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE ticket_actions ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to ticket actions"
+  ON ticket_actions
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
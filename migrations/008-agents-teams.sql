@@ -0,0 +1,62 @@
+-- =====================================================
+-- Agents and Teams Migration
+-- =====================================================
+-- This migration creates lookup tables for HaloPSA agents
+-- and teams so reports can show names and workload
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLES
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS teams (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  department_id INTEGER,
+  department_name TEXT,
+  inactive BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS agents (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT,
+  team_id INTEGER,
+  team_name TEXT,
+  inactive BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_agents_team_id ON agents(team_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_agent_id ON tickets(agent_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_team_id ON tickets(team_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_date_closed ON tickets(date_closed);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agents ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to teams"
+  ON teams
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to agents"
+  ON agents
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,57 @@
+-- =====================================================
+-- SLA Targets Migration
+-- =====================================================
+-- This migration creates per company, per priority SLA targets
+-- used to count response and resolution breaches in reports
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: sla_targets
+-- =====================================================
+-- Targets are in calendar hours from tickets.date_occurred.
+-- A NULL target means that stage isn't measured for the priority.
+
+CREATE TABLE IF NOT EXISTS sla_targets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  priority_id INTEGER NOT NULL,
+  response_hours NUMERIC(8, 2),
+  resolution_hours NUMERIC(8, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(company_id, priority_id)
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_sla_targets_company_id ON sla_targets(company_id);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sla_targets ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can manage all SLA targets
+CREATE POLICY "Super admins manage SLA targets"
+  ON sla_targets
+  FOR ALL
+  USING (is_super_admin());
+
+-- Regular users can view targets for their active company
+CREATE POLICY "Users view their SLA targets"
+  ON sla_targets
+  FOR SELECT
+  USING (company_id = get_user_active_company());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to SLA targets"
+  ON sla_targets
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
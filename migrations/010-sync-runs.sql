@@ -0,0 +1,62 @@
+-- =====================================================
+-- Sync Runs Migration
+-- =====================================================
+-- This migration creates a table that tracks each full sync
+-- run (who started it, current stage, page progress and the
+-- final outcome) so runs can be monitored and cancelled
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: sync_runs
+-- =====================================================
+-- status: running, success, failed, cancelled, interrupted
+-- trigger_source: api (POST /api/sync) or cli (node sync-service.js / cron)
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  triggered_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  trigger_source TEXT NOT NULL DEFAULT 'cli',
+  sync_mode TEXT,
+  months_back INTEGER,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'success', 'failed', 'cancelled', 'interrupted')),
+  stage TEXT,
+  current_page INTEGER DEFAULT 0,
+  records_fetched INTEGER DEFAULT 0,
+  records_total INTEGER,
+  cancel_requested BOOLEAN DEFAULT false,
+  result JSONB,
+  error_message TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_status ON sync_runs(status);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view sync history
+CREATE POLICY "Super admins view sync runs"
+  ON sync_runs
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sync runs"
+  ON sync_runs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,71 @@
+-- =====================================================
+-- Sync Lock Migration
+-- =====================================================
+-- This migration adds a database lock that the cron job and
+-- POST /api/sync both take before a full sync, so two syncs
+-- never upsert the same records at the same time
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: sync_locks
+-- =====================================================
+-- One row per lock name. A lock whose expires_at has passed is
+-- stale (e.g. the process holding it crashed) and can be taken over.
+
+CREATE TABLE IF NOT EXISTS sync_locks (
+  name TEXT PRIMARY KEY,
+  run_id UUID NOT NULL,
+  locked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- =====================================================
+-- CREATE FUNCTION: acquire_sync_lock
+-- =====================================================
+-- Atomically takes the lock for lock_run_id if it is free or
+-- expired. Returns the run_id now holding the lock - the caller
+-- has the lock only if this equals lock_run_id.
+
+CREATE OR REPLACE FUNCTION acquire_sync_lock(lock_name TEXT, lock_run_id UUID, ttl_seconds INTEGER)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  holder UUID;
+BEGIN
+  INSERT INTO sync_locks (name, run_id, locked_at, expires_at)
+  VALUES (lock_name, lock_run_id, NOW(), NOW() + make_interval(secs => ttl_seconds))
+  ON CONFLICT (name) DO UPDATE
+    SET run_id = EXCLUDED.run_id,
+        locked_at = EXCLUDED.locked_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE sync_locks.expires_at < NOW()
+  RETURNING run_id INTO holder;
+
+  IF holder IS NULL THEN
+    SELECT run_id INTO holder FROM sync_locks WHERE name = lock_name;
+  END IF;
+
+  RETURN holder;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION acquire_sync_lock(TEXT, UUID, INTEGER) TO service_role;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sync_locks ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sync locks"
+  ON sync_locks
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,44 @@
+-- =====================================================
+-- Sync Checkpoints Migration
+-- =====================================================
+-- This migration adds page checkpoints for paginated HaloPSA
+-- fetches, so a sync that fails part way through resumes from
+-- the last stored page instead of starting again at page 1
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: sync_checkpoints
+-- =====================================================
+-- One row per sync type while a fetch is in progress. The row is
+-- deleted once every page has been stored.
+-- resume_key: identifies the fetch (mode + window) - a checkpoint is
+--             only resumed by a run asking for the same fetch
+-- params: the exact HaloPSA query parameters used, so resumed pages
+--         line up with the pages already stored
+-- last_page: last page that was fetched and stored successfully
+
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+  sync_type TEXT PRIMARY KEY,
+  resume_key TEXT NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  last_page INTEGER NOT NULL DEFAULT 0,
+  records_fetched INTEGER NOT NULL DEFAULT 0,
+  run_id UUID,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sync_checkpoints ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sync checkpoints"
+  ON sync_checkpoints
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
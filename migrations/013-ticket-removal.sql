@@ -0,0 +1,78 @@
+-- =====================================================
+-- Ticket Removal Migration
+-- =====================================================
+-- This migration lets the sync mark tickets that were deleted
+-- or merged in HaloPSA, so they stop counting towards stats
+-- without losing their history
+-- =====================================================
+
+-- =====================================================
+-- ALTER TABLE: tickets
+-- =====================================================
+-- removal_status: NULL (ticket exists in HaloPSA), 'deleted' or 'merged'
+-- removal_reason: why the ticket was marked, e.g. "Merged into ticket 1234"
+-- merged_into_id: the surviving ticket for merged tickets
+-- removed_at: when the sync detected the removal
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS removal_status TEXT
+    CHECK (removal_status IN ('deleted', 'merged')),
+  ADD COLUMN IF NOT EXISTS removal_reason TEXT,
+  ADD COLUMN IF NOT EXISTS merged_into_id INTEGER,
+  ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+-- Stats queries only read tickets that still exist
+CREATE INDEX IF NOT EXISTS idx_tickets_client_date_active
+  ON tickets(client_id, date_occurred)
+  WHERE removal_status IS NULL;
+
+-- =====================================================
+-- UPDATE VIEW: active_clients
+-- =====================================================
+-- Only count tickets that still exist in HaloPSA
+
+CREATE OR REPLACE VIEW active_clients
+WITH (security_invoker = true)
+AS
+SELECT DISTINCT
+  c.id,
+  c.name,
+  c.toplevel_id,
+  c.toplevel_name,
+  c.inactive,
+  c.colour,
+  c.last_ticket_date,
+  COUNT(t.id) as ticket_count_last_12_months
+FROM clients c
+INNER JOIN tickets t ON c.id = t.client_id
+WHERE t.date_occurred >= CURRENT_DATE - INTERVAL '12 months'
+  AND t.removal_status IS NULL
+GROUP BY c.id, c.name, c.toplevel_id, c.toplevel_name, c.inactive, c.colour, c.last_ticket_date
+ORDER BY c.name;
+
+-- =====================================================
+-- UPDATE FUNCTION: update_client_last_ticket_dates
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_client_last_ticket_dates()
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE clients c
+  SET last_ticket_date = (
+    SELECT MAX(date_occurred)
+    FROM tickets t
+    WHERE t.client_id = c.id
+      AND t.removal_status IS NULL
+  );
+$$;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,92 @@
+-- =====================================================
+-- Ticket Statuses Migration
+-- =====================================================
+-- This migration adds a table of HaloPSA ticket statuses that
+-- admins classify as open, closed, on hold or awaiting customer.
+-- tickets.is_closed is derived from this classification instead
+-- of the hardcoded status_id 9 / "closed" name check
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: ticket_statuses
+-- =====================================================
+-- category: open, closed, on_hold, awaiting_customer
+-- category_reviewed: false until an admin has classified the status
+--   (new statuses get a default from their id/name when first synced)
+
+CREATE TABLE IF NOT EXISTS ticket_statuses (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'open'
+    CHECK (category IN ('open', 'closed', 'on_hold', 'awaiting_customer')),
+  category_reviewed BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- ALTER TABLE: tickets
+-- =====================================================
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS status_category TEXT;
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_tickets_status_id ON tickets(status_id);
+
+-- =====================================================
+-- CREATE FUNCTION: apply_status_categories
+-- =====================================================
+-- Recompute status_category and is_closed on tickets from the
+-- status classification. Pass status_ids to limit the update to
+-- those statuses (NULL = all). Returns the number of tickets changed.
+
+CREATE OR REPLACE FUNCTION apply_status_categories(status_ids INTEGER[] DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  updated_count INTEGER;
+BEGIN
+  UPDATE tickets t
+  SET status_category = s.category,
+      is_closed = (s.category = 'closed')
+  FROM ticket_statuses s
+  WHERE t.status_id = s.id
+    AND (status_ids IS NULL OR s.id = ANY(status_ids))
+    AND (t.status_category IS DISTINCT FROM s.category
+         OR t.is_closed IS DISTINCT FROM (s.category = 'closed'));
+
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+  RETURN updated_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_status_categories(INTEGER[]) TO service_role;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE ticket_statuses ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view the status classification
+CREATE POLICY "Super admins view ticket statuses"
+  ON ticket_statuses
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to ticket statuses"
+  ON ticket_statuses
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
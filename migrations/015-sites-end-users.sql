@@ -0,0 +1,76 @@
+-- =====================================================
+-- Sites and End Users Migration
+-- =====================================================
+-- This migration creates lookup tables for HaloPSA client sites
+-- and end users (ticket requesters) so tickets can be reported
+-- per office and per requester
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLES
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sites (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  client_id INTEGER,
+  client_name TEXT,
+  inactive BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS end_users (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT,
+  client_id INTEGER,
+  site_id INTEGER,
+  site_name TEXT,
+  inactive BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_sites_client_id ON sites(client_id);
+CREATE INDEX IF NOT EXISTS idx_end_users_client_id ON end_users(client_id);
+CREATE INDEX IF NOT EXISTS idx_end_users_site_id ON end_users(site_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_site_id ON tickets(site_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_user_id ON tickets(user_id);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE end_users ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view sites and end users
+CREATE POLICY "Super admins view sites"
+  ON sites
+  FOR SELECT
+  USING (is_super_admin());
+
+CREATE POLICY "Super admins view end users"
+  ON end_users
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sites"
+  ON sites
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to end users"
+  ON end_users
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
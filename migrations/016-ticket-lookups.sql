@@ -0,0 +1,80 @@
+-- =====================================================
+-- Ticket Lookups Migration
+-- =====================================================
+-- This migration creates lookup tables for HaloPSA ticket types,
+-- categories and priorities so reports can show names instead
+-- of bare IDs, and stores each ticket's category
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLES
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS ticket_types (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  inactive BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ticket_categories (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  category_type INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- HaloPSA defines priorities per SLA; tickets only store the priority
+-- number, so one row is kept per priority number
+CREATE TABLE IF NOT EXISTS ticket_priorities (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  colour TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- ALTER TABLE: tickets
+-- =====================================================
+-- category: HaloPSA category_1 (e.g. "Hardware>Printer")
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS category TEXT;
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_tickets_tickettype_id ON tickets(tickettype_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_priority_id ON tickets(priority_id);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE ticket_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_priorities ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to ticket types"
+  ON ticket_types
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to ticket categories"
+  ON ticket_categories
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to ticket priorities"
+  ON ticket_priorities
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
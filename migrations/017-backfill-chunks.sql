@@ -0,0 +1,60 @@
+-- =====================================================
+-- Backfill Chunks Migration
+-- =====================================================
+-- This migration adds month-by-month checkpoints for historical
+-- backfills (node sync-service.js <months> --backfill), so an
+-- interrupted backfill skips the months it already finished
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: backfill_chunks
+-- =====================================================
+-- One row per calendar month a backfill has started.
+-- month_start / month_end: the month's date window (end is the
+--   first day of the next month)
+-- status: running, done, failed - only done months are skipped
+-- Pages within a month are checkpointed in sync_checkpoints
+-- (sync types backfill_tickets and backfill_actions).
+
+CREATE TABLE IF NOT EXISTS backfill_chunks (
+  month_start DATE PRIMARY KEY,
+  month_end DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'done', 'failed')),
+  tickets_synced INTEGER DEFAULT 0,
+  actions_synced INTEGER DEFAULT 0,
+  tickets_removed INTEGER DEFAULT 0,
+  run_id UUID,
+  error_message TEXT,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_backfill_chunks_status ON backfill_chunks(status);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE backfill_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view backfill progress
+CREATE POLICY "Super admins view backfill chunks"
+  ON backfill_chunks
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to backfill chunks"
+  ON backfill_chunks
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
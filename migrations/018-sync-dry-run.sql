@@ -0,0 +1,48 @@
+-- =====================================================
+-- Sync Dry Run Migration
+-- =====================================================
+-- This migration adds dry-run syncs: a sync that fetches from
+-- HaloPSA but writes nothing, and stores a report of the new,
+-- changed and unchanged clients, tickets and feedback instead
+-- =====================================================
+
+-- =====================================================
+-- ALTER TABLE: sync_runs
+-- =====================================================
+
+ALTER TABLE sync_runs
+  ADD COLUMN IF NOT EXISTS dry_run BOOLEAN DEFAULT false;
+
+-- =====================================================
+-- CREATE TABLE: sync_reports
+-- =====================================================
+-- One diff report per dry-run sync, downloaded from
+-- GET /api/sync/:runId/report
+
+CREATE TABLE IF NOT EXISTS sync_reports (
+  run_id UUID PRIMARY KEY REFERENCES sync_runs(id) ON DELETE CASCADE,
+  report JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE sync_reports ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view dry run reports
+CREATE POLICY "Super admins view sync reports"
+  ON sync_reports
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to sync reports"
+  ON sync_reports
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,91 @@
+-- =====================================================
+-- Data Quality Migration
+-- =====================================================
+-- This migration adds a table of anomalies found after each
+-- full sync (tickets without a known client or date, feedback
+-- skipped because its ticket is missing) so super admins can
+-- review them instead of searching the sync logs
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: data_quality_issues
+-- =====================================================
+-- One row per check per sync run, recorded even when the count
+-- is 0 so the newest checked_at shows the current state.
+-- issue_type: ticket_missing_client, ticket_missing_date_occurred,
+--             feedback_missing_ticket
+-- sample_ids: up to 20 example ticket / feedback IDs
+
+CREATE TABLE IF NOT EXISTS data_quality_issues (
+  id BIGSERIAL PRIMARY KEY,
+  run_id UUID,
+  issue_type TEXT NOT NULL,
+  issue_count INTEGER NOT NULL DEFAULT 0,
+  sample_ids INTEGER[] DEFAULT '{}',
+  checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_data_quality_issues_checked_at ON data_quality_issues(checked_at DESC);
+
+-- =====================================================
+-- CREATE FUNCTION: find_data_quality_issues
+-- =====================================================
+-- Counts stored tickets (ignoring deleted/merged ones) whose
+-- client is missing from clients, or that have no date_occurred.
+-- Returns one row per check with up to sample_size ticket IDs,
+-- newest first.
+
+CREATE OR REPLACE FUNCTION find_data_quality_issues(sample_size INTEGER DEFAULT 20)
+RETURNS TABLE (issue_type TEXT, issue_count INTEGER, sample_ids INTEGER[])
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    'ticket_missing_client'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND (t.client_id IS NULL
+         OR NOT EXISTS (SELECT 1 FROM clients c WHERE c.id = t.client_id))
+
+  UNION ALL
+
+  SELECT
+    'ticket_missing_date_occurred'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND t.date_occurred IS NULL;
+$$;
+
+GRANT EXECUTE ON FUNCTION find_data_quality_issues(INTEGER) TO service_role;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE data_quality_issues ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view data quality issues
+CREATE POLICY "Super admins view data quality issues"
+  ON data_quality_issues
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to data quality issues"
+  ON data_quality_issues
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
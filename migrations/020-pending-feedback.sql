@@ -0,0 +1,130 @@
+-- =====================================================
+-- Pending Feedback Migration
+-- =====================================================
+-- This migration adds a queue for feedback whose ticket hasn't
+-- been synced yet. Instead of being dropped, the feedback waits
+-- in pending_feedback and is moved into feedback as soon as its
+-- ticket is stored
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: pending_feedback
+-- =====================================================
+-- Same columns as feedback, without the foreign key on ticket_id
+
+CREATE TABLE IF NOT EXISTS pending_feedback (
+  id INTEGER PRIMARY KEY,
+  ticket_id INTEGER,
+  score INTEGER NOT NULL,
+  score_band INTEGER,
+  date TIMESTAMP NOT NULL,
+  comment TEXT,
+  ip_address TEXT,
+  first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_pending_feedback_ticket_id ON pending_feedback(ticket_id);
+
+-- =====================================================
+-- CREATE FUNCTION: link_pending_feedback
+-- =====================================================
+-- Moves pending feedback whose ticket now exists into feedback.
+-- Pass ticket_ids to only check those tickets (NULL = all).
+-- Returns the number of feedback entries linked.
+
+CREATE OR REPLACE FUNCTION link_pending_feedback(ticket_ids INTEGER[] DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  linked_count INTEGER;
+BEGIN
+  WITH linked AS (
+    DELETE FROM pending_feedback p
+    USING tickets t
+    WHERE t.id = p.ticket_id
+      AND (ticket_ids IS NULL OR p.ticket_id = ANY(ticket_ids))
+    RETURNING p.id, p.ticket_id, p.score, p.score_band, p.date, p.comment, p.ip_address
+  )
+  INSERT INTO feedback (id, ticket_id, score, score_band, date, comment, ip_address, updated_at)
+  SELECT id, ticket_id, score, score_band, date, comment, ip_address, NOW()
+  FROM linked
+  ON CONFLICT (id) DO UPDATE
+    SET ticket_id = EXCLUDED.ticket_id,
+        score = EXCLUDED.score,
+        score_band = EXCLUDED.score_band,
+        date = EXCLUDED.date,
+        comment = EXCLUDED.comment,
+        ip_address = EXCLUDED.ip_address,
+        updated_at = EXCLUDED.updated_at;
+
+  GET DIAGNOSTICS linked_count = ROW_COUNT;
+  RETURN linked_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION link_pending_feedback(INTEGER[]) TO service_role;
+
+-- =====================================================
+-- UPDATE FUNCTION: find_data_quality_issues
+-- =====================================================
+-- feedback_missing_ticket now counts everything still waiting in
+-- pending_feedback, rather than only the entries one sync skipped
+
+CREATE OR REPLACE FUNCTION find_data_quality_issues(sample_size INTEGER DEFAULT 20)
+RETURNS TABLE (issue_type TEXT, issue_count INTEGER, sample_ids INTEGER[])
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    'ticket_missing_client'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND (t.client_id IS NULL
+         OR NOT EXISTS (SELECT 1 FROM clients c WHERE c.id = t.client_id))
+
+  UNION ALL
+
+  SELECT
+    'ticket_missing_date_occurred'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND t.date_occurred IS NULL
+
+  UNION ALL
+
+  SELECT
+    'feedback_missing_ticket'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(p.id ORDER BY p.id DESC))[1:sample_size]
+  FROM pending_feedback p;
+$$;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE pending_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to pending feedback"
+  ON pending_feedback
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
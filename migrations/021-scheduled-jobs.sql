@@ -0,0 +1,110 @@
+-- =====================================================
+-- Scheduled Jobs Migration
+-- =====================================================
+-- This migration adds the jobs run by the web server's built-in
+-- scheduler (scheduler.js), replacing the container crontab, and
+-- a history of their runs with logs
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: scheduled_jobs
+-- =====================================================
+-- job_type: halopsa_sync, cache_warmup, report_delivery
+-- cron_expression: 5 fields (minute hour day month weekday), UTC
+-- config: job type settings, e.g. {"monthsBack": 12, "mode": "incremental"}
+--   for halopsa_sync or {"companyId": "...", "webhookUrl": "..."}
+--   for report_delivery
+-- next_run_at: when the scheduler will next start the job
+--   (NULL while disabled)
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  job_type TEXT NOT NULL
+    CHECK (job_type IN ('halopsa_sync', 'cache_warmup', 'report_delivery')),
+  cron_expression TEXT NOT NULL,
+  config JSONB NOT NULL DEFAULT '{}',
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_status TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE TABLE: scheduled_job_runs
+-- =====================================================
+-- One row per job run.
+-- trigger: schedule or manual (triggered_by is the user for manual runs)
+-- status: running, success, failed, skipped (e.g. a sync was
+--   already running), interrupted (server shut down mid-run)
+-- sync_run_id: the sync_runs row of a HaloPSA sync job (those
+--   syncs have trigger_source 'scheduler')
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id BIGSERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+  trigger TEXT NOT NULL DEFAULT 'schedule'
+    CHECK (trigger IN ('schedule', 'manual')),
+  triggered_by UUID,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'success', 'failed', 'skipped', 'interrupted')),
+  log TEXT,
+  error_message TEXT,
+  sync_run_id UUID,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_next_run_at ON scheduled_jobs(next_run_at) WHERE enabled;
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job_started ON scheduled_job_runs(job_id, started_at DESC);
+
+-- =====================================================
+-- DEFAULT JOBS
+-- =====================================================
+-- The daily sync previously run by the container crontab, and a
+-- (disabled) office-hours warm-up of the NinjaOne / 20i caches
+
+INSERT INTO scheduled_jobs (name, job_type, cron_expression, config, enabled)
+VALUES
+  ('Daily HaloPSA sync', 'halopsa_sync', '0 2 * * *', '{"monthsBack": 12, "mode": "incremental"}', true),
+  ('Cache warm-up', 'cache_warmup', '*/5 7-18 * * 1-5', '{}', false)
+ON CONFLICT (name) DO NOTHING;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_job_runs ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view scheduled jobs and their runs
+CREATE POLICY "Super admins view scheduled jobs"
+  ON scheduled_jobs
+  FOR SELECT
+  USING (is_super_admin());
+
+CREATE POLICY "Super admins view scheduled job runs"
+  ON scheduled_job_runs
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to scheduled jobs"
+  ON scheduled_jobs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to scheduled job runs"
+  ON scheduled_job_runs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
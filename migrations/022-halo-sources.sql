@@ -0,0 +1,332 @@
+-- =====================================================
+-- HaloPSA Sources Migration
+-- =====================================================
+-- This migration lets several HaloPSA instances feed one
+-- dashboard. HaloPSA IDs are only unique within an instance, so
+-- each source's IDs are stored offset by the source's id_offset
+-- (see halo-sources.js). The primary source keeps offset 0, so
+-- existing data is unchanged; every HaloPSA ID column becomes
+-- BIGINT to make room for the other sources' ranges
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: halo_sources
+-- =====================================================
+-- One row per configured source, registered by the sync service
+-- the first time the source is synced.
+-- id_offset: added to every HaloPSA ID of the source (multiples
+--   of 10000000000)
+
+CREATE TABLE IF NOT EXISTS halo_sources (
+  name TEXT PRIMARY KEY,
+  id_offset BIGINT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO halo_sources (name, id_offset)
+VALUES ('primary', 0)
+ON CONFLICT (name) DO NOTHING;
+
+-- =====================================================
+-- DROP DEPENDENT VIEW AND POLICIES
+-- =====================================================
+-- Column types can't change while a view or policy uses them;
+-- both are recreated below
+
+DROP VIEW IF EXISTS active_clients;
+
+DROP POLICY IF EXISTS "Users view company clients" ON clients;
+DROP POLICY IF EXISTS "Users view company tickets" ON tickets;
+DROP POLICY IF EXISTS "Users view company feedback" ON feedback;
+
+-- =====================================================
+-- WIDEN HALOPSA ID COLUMNS TO BIGINT
+-- =====================================================
+
+ALTER TABLE clients
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN toplevel_id TYPE BIGINT;
+
+ALTER TABLE tickets
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN client_id TYPE BIGINT,
+  ALTER COLUMN site_id TYPE BIGINT,
+  ALTER COLUMN user_id TYPE BIGINT,
+  ALTER COLUMN status_id TYPE BIGINT,
+  ALTER COLUMN priority_id TYPE BIGINT,
+  ALTER COLUMN tickettype_id TYPE BIGINT,
+  ALTER COLUMN team_id TYPE BIGINT,
+  ALTER COLUMN agent_id TYPE BIGINT,
+  ALTER COLUMN merged_into_id TYPE BIGINT;
+
+ALTER TABLE ticket_actions
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN ticket_id TYPE BIGINT,
+  ALTER COLUMN agent_id TYPE BIGINT;
+
+ALTER TABLE feedback
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN ticket_id TYPE BIGINT;
+
+ALTER TABLE pending_feedback
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN ticket_id TYPE BIGINT;
+
+ALTER TABLE sites
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN client_id TYPE BIGINT;
+
+ALTER TABLE end_users
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN client_id TYPE BIGINT,
+  ALTER COLUMN site_id TYPE BIGINT;
+
+ALTER TABLE teams
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN department_id TYPE BIGINT;
+
+ALTER TABLE agents
+  ALTER COLUMN id TYPE BIGINT,
+  ALTER COLUMN team_id TYPE BIGINT;
+
+ALTER TABLE ticket_statuses ALTER COLUMN id TYPE BIGINT;
+ALTER TABLE ticket_types ALTER COLUMN id TYPE BIGINT;
+ALTER TABLE ticket_categories ALTER COLUMN id TYPE BIGINT;
+ALTER TABLE ticket_priorities ALTER COLUMN id TYPE BIGINT;
+
+-- Company mappings and SLA targets can point at any source
+ALTER TABLE company_halopsa_clients ALTER COLUMN halopsa_client_id TYPE BIGINT;
+ALTER TABLE sla_targets ALTER COLUMN priority_id TYPE BIGINT;
+
+ALTER TABLE data_quality_issues ALTER COLUMN sample_ids TYPE BIGINT[];
+
+-- =====================================================
+-- ADD COLUMN: halo_source
+-- =====================================================
+-- The source a record or sync came from, for display and
+-- filtering (the ID range is what the sync itself relies on)
+
+ALTER TABLE clients
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+ALTER TABLE ticket_statuses
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+ALTER TABLE sync_runs
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+ALTER TABLE sync_metadata
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+-- Backfill progress is tracked per source
+ALTER TABLE backfill_chunks
+  ADD COLUMN IF NOT EXISTS halo_source TEXT NOT NULL DEFAULT 'primary';
+
+ALTER TABLE backfill_chunks DROP CONSTRAINT IF EXISTS backfill_chunks_pkey;
+ALTER TABLE backfill_chunks ADD PRIMARY KEY (halo_source, month_start);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_clients_halo_source ON clients(halo_source);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_halo_source ON sync_runs(halo_source, started_at DESC);
+
+-- =====================================================
+-- UPDATE FUNCTION: apply_status_categories
+-- =====================================================
+-- Takes BIGINT status IDs
+
+DROP FUNCTION IF EXISTS apply_status_categories(INTEGER[]);
+
+CREATE OR REPLACE FUNCTION apply_status_categories(status_ids BIGINT[] DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  updated_count INTEGER;
+BEGIN
+  UPDATE tickets t
+  SET status_category = s.category,
+      is_closed = (s.category = 'closed')
+  FROM ticket_statuses s
+  WHERE t.status_id = s.id
+    AND (status_ids IS NULL OR s.id = ANY(status_ids))
+    AND (t.status_category IS DISTINCT FROM s.category
+         OR t.is_closed IS DISTINCT FROM (s.category = 'closed'));
+
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+  RETURN updated_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_status_categories(BIGINT[]) TO service_role;
+
+-- =====================================================
+-- UPDATE FUNCTION: link_pending_feedback
+-- =====================================================
+-- Takes BIGINT ticket IDs
+
+DROP FUNCTION IF EXISTS link_pending_feedback(INTEGER[]);
+
+CREATE OR REPLACE FUNCTION link_pending_feedback(ticket_ids BIGINT[] DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  linked_count INTEGER;
+BEGIN
+  WITH linked AS (
+    DELETE FROM pending_feedback p
+    USING tickets t
+    WHERE t.id = p.ticket_id
+      AND (ticket_ids IS NULL OR p.ticket_id = ANY(ticket_ids))
+    RETURNING p.id, p.ticket_id, p.score, p.score_band, p.date, p.comment, p.ip_address
+  )
+  INSERT INTO feedback (id, ticket_id, score, score_band, date, comment, ip_address, updated_at)
+  SELECT id, ticket_id, score, score_band, date, comment, ip_address, NOW()
+  FROM linked
+  ON CONFLICT (id) DO UPDATE
+    SET ticket_id = EXCLUDED.ticket_id,
+        score = EXCLUDED.score,
+        score_band = EXCLUDED.score_band,
+        date = EXCLUDED.date,
+        comment = EXCLUDED.comment,
+        ip_address = EXCLUDED.ip_address,
+        updated_at = EXCLUDED.updated_at;
+
+  GET DIAGNOSTICS linked_count = ROW_COUNT;
+  RETURN linked_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION link_pending_feedback(BIGINT[]) TO service_role;
+
+-- =====================================================
+-- UPDATE FUNCTION: find_data_quality_issues
+-- =====================================================
+-- Returns BIGINT sample IDs (the return type can't be changed in
+-- place, so the function is dropped first)
+
+DROP FUNCTION IF EXISTS find_data_quality_issues(INTEGER);
+
+CREATE OR REPLACE FUNCTION find_data_quality_issues(sample_size INTEGER DEFAULT 20)
+RETURNS TABLE (issue_type TEXT, issue_count INTEGER, sample_ids BIGINT[])
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    'ticket_missing_client'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND (t.client_id IS NULL
+         OR NOT EXISTS (SELECT 1 FROM clients c WHERE c.id = t.client_id))
+
+  UNION ALL
+
+  SELECT
+    'ticket_missing_date_occurred'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(t.id ORDER BY t.id DESC))[1:sample_size]
+  FROM tickets t
+  WHERE t.removal_status IS NULL
+    AND t.date_occurred IS NULL
+
+  UNION ALL
+
+  SELECT
+    'feedback_missing_ticket'::TEXT,
+    COUNT(*)::INTEGER,
+    (ARRAY_AGG(p.id ORDER BY p.id DESC))[1:sample_size]
+  FROM pending_feedback p;
+$$;
+
+GRANT EXECUTE ON FUNCTION find_data_quality_issues(INTEGER) TO service_role;
+
+-- =====================================================
+-- RECREATE POLICIES
+-- =====================================================
+-- Unchanged from 001-multi-tenant.sql
+
+CREATE POLICY "Users view company clients" ON clients
+  FOR SELECT USING (
+    id IN (
+      SELECT halopsa_client_id FROM company_halopsa_clients
+      WHERE company_id = get_user_active_company()
+    )
+  );
+
+CREATE POLICY "Users view company tickets" ON tickets
+  FOR SELECT USING (
+    client_id IN (
+      SELECT halopsa_client_id FROM company_halopsa_clients
+      WHERE company_id = get_user_active_company()
+    )
+  );
+
+CREATE POLICY "Users view company feedback" ON feedback
+  FOR SELECT USING (
+    ticket_id IN (
+      SELECT t.id FROM tickets t
+      INNER JOIN company_halopsa_clients chc ON t.client_id = chc.halopsa_client_id
+      WHERE chc.company_id = get_user_active_company()
+    )
+  );
+
+-- =====================================================
+-- RECREATE VIEW: active_clients
+-- =====================================================
+-- Now includes the source of each client
+
+CREATE OR REPLACE VIEW active_clients
+WITH (security_invoker = true)
+AS
+SELECT DISTINCT
+  c.id,
+  c.name,
+  c.halo_source,
+  c.toplevel_id,
+  c.toplevel_name,
+  c.inactive,
+  c.colour,
+  c.last_ticket_date,
+  COUNT(t.id) as ticket_count_last_12_months
+FROM clients c
+INNER JOIN tickets t ON c.id = t.client_id
+WHERE t.date_occurred >= CURRENT_DATE - INTERVAL '12 months'
+  AND t.removal_status IS NULL
+GROUP BY c.id, c.name, c.halo_source, c.toplevel_id, c.toplevel_name, c.inactive, c.colour, c.last_ticket_date
+ORDER BY c.name;
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE halo_sources ENABLE ROW LEVEL SECURITY;
+
+-- Super admins can view the configured sources
+CREATE POLICY "Super admins view halo sources"
+  ON halo_sources
+  FOR SELECT
+  USING (is_super_admin());
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to halo sources"
+  ON halo_sources
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,205 @@
+-- =====================================================
+-- Ticket Period Stats Migration
+-- =====================================================
+-- This migration adds a function that aggregates a client's
+-- tickets per week, month or quarter in the database, replacing
+-- the per-month queries of POST /api/tickets/monthly-stats
+-- =====================================================
+
+-- =====================================================
+-- CREATE FUNCTION: ticket_period_stats
+-- =====================================================
+-- One row per bucket (bucket_size: week, month or quarter) from
+-- range_start to range_end (inclusive dates in time_zone), with
+-- empty buckets included. Tickets are bucketed by date_occurred
+-- and action time by action_date, both converted from UTC to
+-- time_zone. Deleted/merged tickets are left out.
+-- period_start / period_end: the bucket's dates within the range
+-- by_type / by_priority: [{ id, count }], most common first
+-- first_response_hours / resolution_hours: { count, mean, median,
+--   p90 } in hours (nearest-rank percentiles, 1 decimal place)
+-- response_sla / resolution_sla: { met, breached, compliance }
+--   against the SLA target of the first company (by id) mapped to
+--   the client with a target for the ticket's priority. Open
+--   tickets count as breached once they pass their target.
+
+CREATE OR REPLACE FUNCTION ticket_period_stats(
+  client_ids BIGINT[],
+  range_start DATE,
+  range_end DATE,
+  bucket_size TEXT DEFAULT 'month',
+  time_zone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  bucket_start DATE,
+  period_start DATE,
+  period_end DATE,
+  total_tickets INTEGER,
+  closed_tickets INTEGER,
+  status_categories JSONB,
+  by_type JSONB,
+  by_priority JSONB,
+  total_hours NUMERIC,
+  billable_hours NUMERIC,
+  non_billable_hours NUMERIC,
+  first_response_hours JSONB,
+  resolution_hours JSONB,
+  response_sla JSONB,
+  resolution_sla JSONB
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH bounds AS (
+    SELECT
+      (range_start::TIMESTAMP AT TIME ZONE time_zone) AT TIME ZONE 'UTC' AS start_utc,
+      ((range_end + 1)::TIMESTAMP AT TIME ZONE time_zone) AT TIME ZONE 'UTC' AS end_utc,
+      CASE bucket_size
+        WHEN 'week' THEN INTERVAL '1 week'
+        WHEN 'month' THEN INTERVAL '1 month'
+        WHEN 'quarter' THEN INTERVAL '3 months'
+      END AS step
+  ),
+  buckets AS (
+    SELECT
+      b::DATE AS bucket_start,
+      GREATEST(b::DATE, range_start) AS period_start,
+      LEAST((b + bounds.step)::DATE - 1, range_end) AS period_end
+    FROM bounds,
+      generate_series(date_trunc(bucket_size, range_start::TIMESTAMP), range_end::TIMESTAMP, bounds.step) b
+  ),
+  ticket_rows AS (
+    SELECT
+      date_trunc(bucket_size, (t.date_occurred AT TIME ZONE 'UTC') AT TIME ZONE time_zone)::DATE AS bucket_start,
+      t.id,
+      t.tickettype_id,
+      t.priority_id,
+      t.is_closed,
+      CASE
+        WHEN t.status_category IN ('open', 'on_hold', 'awaiting_customer', 'closed') THEN t.status_category
+        WHEN t.is_closed THEN 'closed'
+        ELSE 'open'
+      END AS category,
+      EXTRACT(EPOCH FROM (t.response_date - t.date_occurred)) / 3600 AS response_elapsed,
+      EXTRACT(EPOCH FROM (t.date_closed - t.date_occurred)) / 3600 AS resolution_elapsed,
+      CASE
+        WHEN sla.response_target IS NULL THEN NULL
+        WHEN EXTRACT(EPOCH FROM (COALESCE(t.response_date, NOW() AT TIME ZONE 'UTC') - t.date_occurred)) / 3600
+             > sla.response_target THEN 'breached'
+        WHEN t.response_date IS NOT NULL THEN 'met'
+      END AS response_result,
+      CASE
+        WHEN sla.resolution_target IS NULL THEN NULL
+        WHEN EXTRACT(EPOCH FROM (COALESCE(t.date_closed, NOW() AT TIME ZONE 'UTC') - t.date_occurred)) / 3600
+             > sla.resolution_target THEN 'breached'
+        WHEN t.date_closed IS NOT NULL THEN 'met'
+      END AS resolution_result
+    FROM bounds, tickets t
+    LEFT JOIN LATERAL (
+      SELECT st.response_hours AS response_target, st.resolution_hours AS resolution_target
+      FROM company_halopsa_clients chc
+      INNER JOIN sla_targets st ON st.company_id = chc.company_id AND st.priority_id = t.priority_id
+      WHERE chc.halopsa_client_id = t.client_id
+      ORDER BY chc.company_id
+      LIMIT 1
+    ) sla ON true
+    WHERE t.client_id = ANY(client_ids)
+      AND t.removal_status IS NULL
+      AND t.date_occurred >= bounds.start_utc
+      AND t.date_occurred < bounds.end_utc
+  ),
+  type_counts AS (
+    SELECT c.bucket_start, jsonb_agg(jsonb_build_object('id', c.tickettype_id, 'count', c.n) ORDER BY c.n DESC) AS by_type
+    FROM (SELECT r.bucket_start, r.tickettype_id, COUNT(*) AS n FROM ticket_rows r GROUP BY 1, 2) c
+    GROUP BY c.bucket_start
+  ),
+  priority_counts AS (
+    SELECT c.bucket_start, jsonb_agg(jsonb_build_object('id', c.priority_id, 'count', c.n) ORDER BY c.n DESC) AS by_priority
+    FROM (SELECT r.bucket_start, r.priority_id, COUNT(*) AS n FROM ticket_rows r GROUP BY 1, 2) c
+    GROUP BY c.bucket_start
+  ),
+  action_totals AS (
+    SELECT
+      date_trunc(bucket_size, (a.action_date AT TIME ZONE 'UTC') AT TIME ZONE time_zone)::DATE AS bucket_start,
+      SUM(COALESCE(a.minutes, 0)) AS minutes,
+      SUM(COALESCE(a.billable_minutes, 0)) AS billable_minutes
+    FROM bounds, ticket_actions a
+    INNER JOIN tickets t ON t.id = a.ticket_id
+    WHERE t.client_id = ANY(client_ids)
+      AND t.removal_status IS NULL
+      AND a.action_date >= bounds.start_utc
+      AND a.action_date < bounds.end_utc
+    GROUP BY 1
+  ),
+  ticket_totals AS (
+    SELECT
+      b.bucket_start,
+      COUNT(r.id)::INTEGER AS total_tickets,
+      COUNT(r.id) FILTER (WHERE r.is_closed)::INTEGER AS closed_tickets,
+      jsonb_build_object(
+        'open', COUNT(r.id) FILTER (WHERE r.category = 'open'),
+        'on_hold', COUNT(r.id) FILTER (WHERE r.category = 'on_hold'),
+        'awaiting_customer', COUNT(r.id) FILTER (WHERE r.category = 'awaiting_customer'),
+        'closed', COUNT(r.id) FILTER (WHERE r.category = 'closed')
+      ) AS status_categories,
+      jsonb_build_object(
+        'count', COUNT(r.response_elapsed) FILTER (WHERE r.response_elapsed >= 0),
+        'mean', ROUND((AVG(r.response_elapsed) FILTER (WHERE r.response_elapsed >= 0))::NUMERIC, 1),
+        'median', ROUND((percentile_disc(0.5) WITHIN GROUP (ORDER BY r.response_elapsed) FILTER (WHERE r.response_elapsed >= 0))::NUMERIC, 1),
+        'p90', ROUND((percentile_disc(0.9) WITHIN GROUP (ORDER BY r.response_elapsed) FILTER (WHERE r.response_elapsed >= 0))::NUMERIC, 1)
+      ) AS first_response_hours,
+      jsonb_build_object(
+        'count', COUNT(r.resolution_elapsed) FILTER (WHERE r.resolution_elapsed >= 0),
+        'mean', ROUND((AVG(r.resolution_elapsed) FILTER (WHERE r.resolution_elapsed >= 0))::NUMERIC, 1),
+        'median', ROUND((percentile_disc(0.5) WITHIN GROUP (ORDER BY r.resolution_elapsed) FILTER (WHERE r.resolution_elapsed >= 0))::NUMERIC, 1),
+        'p90', ROUND((percentile_disc(0.9) WITHIN GROUP (ORDER BY r.resolution_elapsed) FILTER (WHERE r.resolution_elapsed >= 0))::NUMERIC, 1)
+      ) AS resolution_hours,
+      COUNT(r.id) FILTER (WHERE r.response_result = 'met') AS response_met,
+      COUNT(r.id) FILTER (WHERE r.response_result = 'breached') AS response_breached,
+      COUNT(r.id) FILTER (WHERE r.resolution_result = 'met') AS resolution_met,
+      COUNT(r.id) FILTER (WHERE r.resolution_result = 'breached') AS resolution_breached
+    FROM buckets b
+    LEFT JOIN ticket_rows r ON r.bucket_start = b.bucket_start
+    GROUP BY b.bucket_start
+  )
+  SELECT
+    b.bucket_start,
+    b.period_start,
+    b.period_end,
+    tt.total_tickets,
+    tt.closed_tickets,
+    tt.status_categories,
+    COALESCE(tc.by_type, '[]'::JSONB),
+    COALESCE(pc.by_priority, '[]'::JSONB),
+    ROUND(COALESCE(a.minutes, 0) / 60, 2),
+    ROUND(COALESCE(a.billable_minutes, 0) / 60, 2),
+    ROUND((COALESCE(a.minutes, 0) - COALESCE(a.billable_minutes, 0)) / 60, 2),
+    tt.first_response_hours,
+    tt.resolution_hours,
+    jsonb_build_object(
+      'met', tt.response_met,
+      'breached', tt.response_breached,
+      'compliance', CASE WHEN tt.response_met + tt.response_breached > 0
+        THEN ROUND(tt.response_met::NUMERIC / (tt.response_met + tt.response_breached) * 100, 1) END
+    ),
+    jsonb_build_object(
+      'met', tt.resolution_met,
+      'breached', tt.resolution_breached,
+      'compliance', CASE WHEN tt.resolution_met + tt.resolution_breached > 0
+        THEN ROUND(tt.resolution_met::NUMERIC / (tt.resolution_met + tt.resolution_breached) * 100, 1) END
+    )
+  FROM buckets b
+  INNER JOIN ticket_totals tt ON tt.bucket_start = b.bucket_start
+  LEFT JOIN type_counts tc ON tc.bucket_start = b.bucket_start
+  LEFT JOIN priority_counts pc ON pc.bucket_start = b.bucket_start
+  LEFT JOIN action_totals a ON a.bucket_start = b.bucket_start
+  ORDER BY b.bucket_start;
+$$;
+
+GRANT EXECUTE ON FUNCTION ticket_period_stats(BIGINT[], DATE, DATE, TEXT, TEXT) TO service_role;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,30 @@
+-- =====================================================
+-- Ticket Search Migration
+-- =====================================================
+-- This migration adds full-text search over ticket summaries
+-- and details for the ticket list (GET /api/tickets)
+-- =====================================================
+
+-- =====================================================
+-- ALTER TABLE: tickets
+-- =====================================================
+-- search_vector: English full-text index of summary and details,
+--   kept up to date by Postgres (summary weighted above details)
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', COALESCE(summary, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(details, '')), 'B')
+    ) STORED;
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_tickets_search_vector ON tickets USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_tickets_client_last_action ON tickets(client_id, last_action_date);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,70 @@
+-- =====================================================
+-- Ticket Backlog Series Migration
+-- =====================================================
+-- This migration adds a function that calculates how many
+-- tickets were open at the end of each day of a range, from
+-- the tickets' open and close timestamps
+-- =====================================================
+
+-- =====================================================
+-- CREATE FUNCTION: ticket_backlog_series
+-- =====================================================
+-- One row per day from range_start to range_end (dates in
+-- time_zone) with the number of tickets open at the end of
+-- that day: opened before the day ended and not closed by then.
+-- client_ids: clients to count (NULL = every client)
+-- Tickets marked closed without a close date are treated as
+-- closed when they were opened. Deleted/merged tickets are left
+-- out.
+
+CREATE OR REPLACE FUNCTION ticket_backlog_series(
+  client_ids BIGINT[],
+  range_start DATE,
+  range_end DATE,
+  time_zone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  day DATE,
+  backlog INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH spans AS (
+    SELECT
+      ((t.date_occurred AT TIME ZONE 'UTC') AT TIME ZONE time_zone)::DATE AS opened_day,
+      ((CASE
+        WHEN t.date_closed IS NOT NULL THEN GREATEST(t.date_closed, t.date_occurred)
+        WHEN t.is_closed THEN t.date_occurred
+      END AT TIME ZONE 'UTC') AT TIME ZONE time_zone)::DATE AS closed_day
+    FROM tickets t
+    WHERE (client_ids IS NULL OR t.client_id = ANY(client_ids))
+      AND t.removal_status IS NULL
+      AND t.date_occurred < (((range_end + 1)::TIMESTAMP AT TIME ZONE time_zone) AT TIME ZONE 'UTC')
+  ),
+  changes AS (
+    SELECT opened_day AS day, 1 AS change FROM spans
+    UNION ALL
+    SELECT closed_day, -1 FROM spans WHERE closed_day IS NOT NULL AND closed_day <= range_end
+  ),
+  daily AS (
+    SELECT GREATEST(c.day, range_start - 1) AS day, SUM(c.change) AS change
+    FROM changes c
+    GROUP BY 1
+  )
+  SELECT
+    d::DATE AS day,
+    (COALESCE((SELECT dl.change FROM daily dl WHERE dl.day = range_start - 1), 0) +
+      SUM(COALESCE(dl.change, 0)) OVER (ORDER BY d))::INTEGER AS backlog
+  FROM generate_series(range_start::TIMESTAMP, range_end::TIMESTAMP, INTERVAL '1 day') d
+  LEFT JOIN daily dl ON dl.day = d::DATE
+  ORDER BY d;
+$$;
+
+GRANT EXECUTE ON FUNCTION ticket_backlog_series(BIGINT[], DATE, DATE, TEXT) TO service_role;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
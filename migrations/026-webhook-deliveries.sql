@@ -0,0 +1,66 @@
+-- =====================================================
+-- Webhook Deliveries Migration
+-- =====================================================
+-- This migration adds a table of HaloPSA ticket webhook
+-- deliveries, so a burst of webhooks no longer fills the sync
+-- history (sync_metadata) and pushes real sync results out of
+-- view. Deliveries already recorded in sync_metadata are moved
+-- across.
+-- =====================================================
+
+-- =====================================================
+-- CREATE TABLE: webhook_deliveries
+-- =====================================================
+-- One row per ticket webhook received.
+-- ticket_id: stored (namespaced) ticket ID, NULL for deliveries
+--            moved from sync_metadata
+-- changed: whether the ticket was new or modified
+-- status: success or failed
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  halo_source TEXT NOT NULL DEFAULT 'primary',
+  ticket_id INTEGER,
+  changed BOOLEAN NOT NULL DEFAULT false,
+  status TEXT NOT NULL,
+  error_message TEXT,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CREATE INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at DESC);
+
+-- =====================================================
+-- MOVE EXISTING DELIVERIES
+-- =====================================================
+
+INSERT INTO webhook_deliveries (halo_source, changed, status, error_message, received_at)
+SELECT
+  COALESCE(halo_source, 'primary'),
+  COALESCE(records_changed, 0) > 0,
+  status,
+  error_message,
+  last_sync
+FROM sync_metadata
+WHERE sync_type = 'ticket_webhook';
+
+DELETE FROM sync_metadata WHERE sync_type = 'ticket_webhook';
+
+-- =====================================================
+-- ENABLE ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Service role (backend) has full access (bypasses RLS)
+CREATE POLICY "Service role full access to webhook deliveries"
+  ON webhook_deliveries
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
@@ -429,6 +429,32 @@ async function getOrganizations() {
   }
 }
 
+/**
+ * Count NinjaOne devices (servers and workstations) per organization
+ *
+ * @returns {Promise<Map<number, number>>} organization ID -> device count
+ */
+async function getDeviceCountsByOrganization() {
+  try {
+    const devices = await ninjaRequest('/v2/devices');
+    const counts = new Map();
+
+    (devices || []).forEach(device => {
+      counts.set(device.organizationId, (counts.get(device.organizationId) || 0) + 1);
+    });
+
+    logger.info('NinjaOne: Counted devices by organization', {
+      devices: devices?.length || 0,
+      organizations: counts.size
+    });
+
+    return counts;
+  } catch (error) {
+    logger.error('NinjaOne: Failed to count devices', { error: error.message });
+    throw new Error('Failed to fetch devices from NinjaOne');
+  }
+}
+
 /**
  * Get all workstations with health and patch information
  */
@@ -638,6 +664,7 @@ module.exports = {
   getServers,
   getServerDetails,
   getOrganizations,
+  getDeviceCountsByOrganization,
   getWorkstations,
   getWorkstationDetails
 };
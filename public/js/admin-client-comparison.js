@@ -0,0 +1,300 @@
+// Admin Client Comparison
+let comparison = null;
+let comparisonChart = null;
+let sortKey = 'totalTickets';
+let sortDirection = 'desc';
+
+// Matches MAX_COMPARISON_CLIENTS in routes/reports.js
+const MAX_CLIENTS = 20;
+
+const CHART_COLOURS = [
+  '#5b9bd5', '#8cc63f', '#f4b942', '#ff6b6b', '#9b59b6',
+  '#1abc9c', '#e67e22', '#34495e', '#e84393', '#95a5a6'
+];
+
+// Table and CSV columns (value: used for sorting and export, format: shown in the table)
+const COLUMNS = [
+  { key: 'name', label: 'Client', value: row => row.name },
+  { key: 'totalTickets', label: 'Tickets', value: row => row.totalTickets },
+  { key: 'openTickets', label: 'Open', value: row => row.openTickets },
+  { key: 'closedTickets', label: 'Closed', value: row => row.closedTickets },
+  { key: 'devices', label: 'Devices', value: row => row.devices },
+  { key: 'ticketsPerDevice', label: 'Tickets per Device', value: row => row.ticketsPerDevice },
+  { key: 'meanResolutionHours', label: 'Mean Resolution (h)', value: row => row.meanResolutionHours },
+  {
+    key: 'satisfactionRate',
+    label: 'CSAT',
+    value: row => row.satisfaction.satisfactionRate,
+    format: row => row.satisfaction.satisfactionRate === null ? '-' : `${row.satisfaction.satisfactionRate}%`
+  },
+  { key: 'feedback', label: 'Feedback', value: row => row.satisfaction.total }
+];
+
+async function init() {
+  await initAuth();
+
+  // Default to this quarter to date, like the API
+  const now = new Date();
+  document.getElementById('comparisonStart').value = formatDate(new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1));
+  document.getElementById('comparisonEnd').value = formatDate(now);
+
+  renderHeader();
+  await loadClients();
+}
+
+/**
+ * Call the API with the user's token
+ * Throws with the API's error message if the request fails.
+ */
+async function comparisonApi(path) {
+  const authData = localStorage.getItem('sb-supabase-auth-token');
+  const session = JSON.parse(authData);
+  const token = session.access_token;
+
+  const response = await fetch(path, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+
+  return data;
+}
+
+/**
+ * Fill the client picker
+ */
+async function loadClients() {
+  const select = document.getElementById('comparisonClients');
+
+  try {
+    const clients = await comparisonApi('/api/clients');
+
+    select.innerHTML = clients.map(client => {
+      // Clients from other HaloPSA instances show which one they come from
+      const name = client.halo_source && client.halo_source !== 'primary'
+        ? `${client.name} (${client.halo_source})`
+        : client.name;
+      return `<option value="${client.id}">${escapeHtml(name)}</option>`;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading clients:', error);
+    select.innerHTML = '<option value="" disabled>Failed to load clients</option>';
+  }
+}
+
+/**
+ * Load the comparison for the picked clients and period
+ */
+async function loadComparison(event) {
+  event.preventDefault();
+
+  const clientIds = [...document.getElementById('comparisonClients').selectedOptions].map(option => option.value);
+  const startDate = document.getElementById('comparisonStart').value;
+  const endDate = document.getElementById('comparisonEnd').value;
+
+  if (clientIds.length === 0) {
+    showMessage('Pick at least one client', true);
+    return;
+  }
+
+  if (clientIds.length > MAX_CLIENTS) {
+    showMessage(`Pick at most ${MAX_CLIENTS} clients`, true);
+    return;
+  }
+
+  const button = document.getElementById('compareBtn');
+  button.disabled = true;
+  showMessage('Loading...');
+
+  try {
+    const params = new URLSearchParams({ clientIds: clientIds.join(','), startDate, endDate });
+    comparison = await comparisonApi(`/api/reports/comparison?${params}`);
+
+    showMessage('');
+    document.getElementById('exportBtn').disabled = false;
+    document.getElementById('comparisonTitle').textContent = `Comparison, ${comparison.startDate} to ${comparison.endDate}`;
+    renderTable();
+    renderChart();
+  } catch (error) {
+    console.error('Error loading client comparison:', error);
+    showMessage(error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('comparisonMessage');
+  message.textContent = text;
+  message.className = `comparison-hint${isError ? ' error' : ''}`;
+}
+
+/**
+ * Render the sortable column headers
+ */
+function renderHeader() {
+  document.getElementById('comparisonHeader').innerHTML = COLUMNS.map(column => {
+    const sorted = column.key === sortKey ? ` ${sortDirection}` : '';
+    return `<th class="sortable${sorted}" onclick="sortBy('${column.key}')">${column.label}</th>`;
+  }).join('');
+}
+
+/**
+ * Sort by a column, toggling the direction when it's already the sort column
+ */
+function sortBy(key) {
+  if (key === sortKey) {
+    sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+  } else {
+    sortKey = key;
+    sortDirection = key === 'name' ? 'asc' : 'desc';
+  }
+
+  renderHeader();
+  if (comparison) {
+    renderTable();
+  }
+}
+
+/**
+ * Clients in the current sort order (empty values last in either direction)
+ */
+function getSortedRows() {
+  const column = COLUMNS.find(c => c.key === sortKey);
+  const direction = sortDirection === 'asc' ? 1 : -1;
+
+  return [...comparison.clients].sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    if (typeof valueA === 'string') return valueA.localeCompare(valueB) * direction;
+
+    return (valueA - valueB) * direction;
+  });
+}
+
+function renderTable() {
+  document.getElementById('comparisonTable').innerHTML = getSortedRows().map(row => `
+    <tr>
+      ${COLUMNS.map(column => {
+        if (column.format) return `<td>${column.format(row)}</td>`;
+
+        const value = column.value(row);
+        return `<td>${value === null ? '-' : escapeHtml(String(value))}</td>`;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  document.getElementById('devicesNote').textContent = comparison.devicesAvailable
+    ? 'Devices are counted from the NinjaOne organizations of each client\'s company. "-" means no organization is mapped.'
+    : 'Device counts are unavailable because NinjaOne could not be reached.';
+
+  document.getElementById('comparisonResults').style.display = 'block';
+}
+
+/**
+ * Overlay each client's tickets per month on one line chart
+ */
+function renderChart() {
+  if (comparisonChart) {
+    comparisonChart.destroy();
+  }
+
+  const labels = comparison.months.map(month => new Date(`${month}-01T00:00:00`)
+    .toLocaleDateString('en-US', { year: 'numeric', month: 'short' }));
+
+  comparisonChart = new Chart(document.getElementById('comparisonChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels,
+      datasets: comparison.clients.map((row, index) => ({
+        label: row.name,
+        data: row.monthlyTickets,
+        borderColor: CHART_COLOURS[index % CHART_COLOURS.length],
+        backgroundColor: CHART_COLOURS[index % CHART_COLOURS.length],
+        tension: 0.2
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top'
+        }
+      },
+      scales: {
+        y: { beginAtZero: true, ticks: { precision: 0 } }
+      }
+    }
+  });
+
+  document.getElementById('comparisonChartCard').style.display = 'block';
+}
+
+/**
+ * Download the comparison table and monthly ticket counts as CSV
+ */
+function exportComparisonCsv() {
+  if (!comparison) return;
+
+  // Client names can contain commas, so quote them
+  const csvCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+  let csv = 'Client Comparison\n';
+  csv += `Period: ${comparison.startDate} to ${comparison.endDate}\n`;
+  csv += `Generated: ${new Date().toLocaleString()}\n\n`;
+
+  csv += COLUMNS.map(column => csvCell(column.label)).join(',') + '\n';
+  getSortedRows().forEach(row => {
+    csv += COLUMNS.map(column => csvCell(column.value(row))).join(',') + '\n';
+  });
+
+  csv += '\nTickets per Month\n';
+  csv += ['Client', ...comparison.months].map(csvCell).join(',') + '\n';
+  comparison.clients.forEach(row => {
+    csv += [row.name, ...row.monthlyTickets].map(csvCell).join(',') + '\n';
+  });
+
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `client-comparison-${comparison.startDate}-to-${comparison.endDate}.csv`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Escape client names before putting them in HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Initialize on page load
+init();
@@ -189,7 +189,7 @@ function renderCompanies() {
         <div class="mapping-list">
           ${company.haloPSAClients.length > 0 ?
             company.haloPSAClients.map(client => `
-              <div class="mapping-item">${client.name}</div>
+              <div class="mapping-item">${clientLabel(client)}</div>
             `).join('') :
             '<div class="mapping-empty">No HaloPSA clients assigned</div>'
           }
@@ -248,10 +248,19 @@ function populateHaloPSADropdown() {
 
   select.innerHTML = '<option value="">-- Select a HaloPSA Client --</option>' +
     unmappedClients.map(client => `
-      <option value="${client.id}" data-name="${client.name}">${client.name}</option>
+      <option value="${client.id}" data-name="${client.name}">${clientLabel(client)}</option>
     `).join('');
 }
 
+/**
+ * Client name with its HaloPSA source, for clients that don't come from the primary instance
+ */
+function clientLabel(client) {
+  return client.halo_source && client.halo_source !== 'primary'
+    ? `${client.name} (${client.halo_source})`
+    : client.name;
+}
+
 /**
  * Update company name when HaloPSA client is selected
  */
@@ -480,7 +489,7 @@ function renderHaloPSACheckboxes(selectedIds = []) {
         value="${client.id}"
         ${selectedIds.includes(client.id) ? 'checked' : ''}
       >
-      <label for="client-${client.id}">${client.name}</label>
+      <label for="client-${client.id}">${clientLabel(client)}</label>
     </div>
   `).join('');
 }
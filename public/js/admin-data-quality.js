@@ -0,0 +1,114 @@
+// Admin Data Quality Report
+const ISSUE_LABELS = {
+  ticket_missing_client: {
+    label: 'Tickets with an unknown client',
+    description: 'The ticket\'s client_id is empty or not in the synced clients'
+  },
+  ticket_missing_date_occurred: {
+    label: 'Tickets with no date occurred',
+    description: 'These tickets are left out of every date-based report'
+  },
+  feedback_missing_ticket: {
+    label: 'Feedback waiting for its ticket',
+    description: 'Queued until its ticket is synced, e.g. by a backfill - not yet in feedback reports'
+  }
+};
+
+async function init() {
+  await initAuth();
+  await loadDataQuality();
+}
+
+/**
+ * Load the latest data quality check and recent history from the API
+ */
+async function loadDataQuality() {
+  try {
+    const authData = localStorage.getItem('sb-supabase-auth-token');
+    const session = JSON.parse(authData);
+    const token = session.access_token;
+
+    const response = await fetch('/api/admin/data-quality', {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load data quality issues');
+    }
+
+    const data = await response.json();
+    renderLatestCheck(data.latest);
+    renderHistory(data.history);
+  } catch (error) {
+    console.error('Error loading data quality issues:', error);
+    document.getElementById('latestCheckMeta').textContent = '';
+    document.getElementById('issuesTable').innerHTML =
+      '<tr><td colspan="3">Failed to load data quality issues. Please try again.</td></tr>';
+    document.getElementById('historyTable').innerHTML = '';
+  }
+}
+
+/**
+ * Render the issues found by the most recent check
+ */
+function renderLatestCheck(latest) {
+  const meta = document.getElementById('latestCheckMeta');
+  const table = document.getElementById('issuesTable');
+
+  if (!latest) {
+    meta.textContent = '';
+    table.innerHTML = '<tr><td colspan="3">No checks recorded yet. They run at the end of every full sync.</td></tr>';
+    return;
+  }
+
+  meta.textContent = `Checked ${formatDateTime(latest.checkedAt)}`;
+
+  table.innerHTML = latest.issues.map(issue => {
+    const info = ISSUE_LABELS[issue.type] || { label: issue.type, description: '' };
+
+    return `
+      <tr>
+        <td>
+          <strong>${info.label}</strong>
+          <div class="check-meta">${info.description}</div>
+        </td>
+        <td><span class="issue-count ${issue.count === 0 ? 'clean' : 'problem'}">${issue.count}</span></td>
+        <td class="sample-ids">${issue.sampleIds.length > 0 ? issue.sampleIds.join(', ') : '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the issue totals of recent checks
+ */
+function renderHistory(history) {
+  const table = document.getElementById('historyTable');
+
+  if (history.length === 0) {
+    table.innerHTML = '<tr><td colspan="3">No checks recorded yet.</td></tr>';
+    return;
+  }
+
+  table.innerHTML = history.map(check => `
+    <tr>
+      <td>${formatDateTime(check.checkedAt)}</td>
+      <td class="sample-ids">${check.runId || '-'}</td>
+      <td><span class="issue-count ${check.totalIssues === 0 ? 'clean' : 'problem'}">${check.totalIssues}</span></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Format a UTC timestamp (stored without a zone) in the browser's locale
+ */
+function formatDateTime(value) {
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  return new Date(hasZone ? value : `${value}Z`).toLocaleString();
+}
+
+// Initialize on page load
+init();
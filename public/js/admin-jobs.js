@@ -0,0 +1,366 @@
+// Admin Scheduled Jobs
+let jobs = [];
+let jobTypes = [];
+let historyJobId = null;
+
+// Example config shown when a job type is picked in the add form
+const CONFIG_EXAMPLES = {
+  halopsa_sync: { monthsBack: 12, mode: 'incremental' },
+  cache_warmup: { targets: ['servers', 'workstations', 'domains'] },
+  report_delivery: { companyId: '', webhookUrl: 'https://' }
+};
+
+async function init() {
+  await initAuth();
+  await loadJobs();
+}
+
+/**
+ * Call the jobs API with the user's token
+ * Throws with the API's error message if the request fails.
+ */
+async function jobsApi(path, options = {}) {
+  const authData = localStorage.getItem('sb-supabase-auth-token');
+  const session = JSON.parse(authData);
+  const token = session.access_token;
+
+  const response = await fetch(`/api/admin/jobs${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+
+  return data;
+}
+
+/**
+ * Load scheduled jobs and job types from the API
+ */
+async function loadJobs() {
+  try {
+    const data = await jobsApi('');
+    jobs = data.jobs;
+
+    if (jobTypes.length === 0) {
+      jobTypes = data.jobTypes;
+      document.getElementById('newJobType').innerHTML = jobTypes.map(jobType =>
+        `<option value="${jobType.type}">${jobType.label}</option>`
+      ).join('');
+      fillConfigExample();
+    }
+
+    renderJobs();
+  } catch (error) {
+    console.error('Error loading scheduled jobs:', error);
+    document.getElementById('jobsTable').innerHTML =
+      '<tr><td colspan="6">Failed to load scheduled jobs. Please try again.</td></tr>';
+  }
+}
+
+/**
+ * Render the jobs table
+ */
+function renderJobs() {
+  const table = document.getElementById('jobsTable');
+
+  if (jobs.length === 0) {
+    table.innerHTML = '<tr><td colspan="6">No scheduled jobs yet. Run migrations/021-scheduled-jobs.sql to add the daily sync.</td></tr>';
+    return;
+  }
+
+  table.innerHTML = jobs.map(job => {
+    const jobType = jobTypes.find(t => t.type === job.job_type);
+
+    return `
+      <tr>
+        <td>
+          <strong>${escapeHtml(job.name)}</strong>
+          <div class="job-meta">${jobType ? jobType.label : job.job_type}</div>
+          <div class="job-meta">${escapeHtml(JSON.stringify(job.config))}</div>
+        </td>
+        <td>
+          <input type="checkbox" ${job.enabled ? 'checked' : ''} onchange="updateJob(${job.id}, { enabled: this.checked })">
+        </td>
+        <td>
+          <input type="text" class="cron-input" id="cron-${job.id}" value="${escapeHtml(job.cron_expression)}">
+          <button class="btn btn-secondary" onclick="saveSchedule(${job.id})">Save</button>
+        </td>
+        <td>${job.enabled && job.next_run_at ? formatDateTime(job.next_run_at) : '-'}</td>
+        <td>
+          ${job.last_run_at ? formatDateTime(job.last_run_at) : 'Never'}
+          ${job.last_status ? `<div class="run-status ${job.last_status}">${job.last_status}</div>` : ''}
+        </td>
+        <td>
+          <div class="job-actions">
+            <button class="btn btn-primary" onclick="runJob(${job.id}, this)">Run now</button>
+            <button class="btn btn-secondary" onclick="showHistory(${job.id})">History</button>
+            <button class="btn btn-secondary" onclick="deleteJob(${job.id})">Delete</button>
+          </div>
+          <div class="job-message" id="jobMessage-${job.id}"></div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Show a message next to a job's actions
+ */
+function showJobMessage(jobId, text, isError = false) {
+  const message = document.getElementById(`jobMessage-${jobId}`);
+  if (!message) return;
+
+  message.className = isError ? 'job-message error' : 'job-message';
+  message.textContent = text;
+}
+
+/**
+ * Save changes to a job (enabled state, schedule) and re-render with the new next run
+ */
+async function updateJob(jobId, changes) {
+  try {
+    const data = await jobsApi(`/${jobId}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+
+    jobs = jobs.map(job => job.id === jobId ? data.job : job);
+    renderJobs();
+    showJobMessage(jobId, 'Saved');
+  } catch (error) {
+    console.error('Error updating job:', error);
+    renderJobs();
+    showJobMessage(jobId, error.message, true);
+  }
+}
+
+/**
+ * Save the cron expression typed for a job
+ */
+function saveSchedule(jobId) {
+  const cronExpression = document.getElementById(`cron-${jobId}`).value;
+  updateJob(jobId, { cronExpression });
+}
+
+/**
+ * Start a job straight away and open its history
+ */
+async function runJob(jobId, button) {
+  button.disabled = true;
+  showJobMessage(jobId, 'Starting...');
+
+  try {
+    await jobsApi(`/${jobId}/run`, { method: 'POST' });
+    showJobMessage(jobId, 'Started');
+    await showHistory(jobId);
+  } catch (error) {
+    console.error('Error starting job:', error);
+    showJobMessage(jobId, error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Delete a job and its run history
+ */
+async function deleteJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+
+  if (!confirm(`Delete the job "${job.name}" and its run history?`)) {
+    return;
+  }
+
+  try {
+    await jobsApi(`/${jobId}`, { method: 'DELETE' });
+
+    if (historyJobId === jobId) {
+      historyJobId = null;
+      document.getElementById('historyCard').style.display = 'none';
+    }
+
+    await loadJobs();
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    showJobMessage(jobId, error.message, true);
+  }
+}
+
+/**
+ * Show the recent runs of a job
+ */
+async function showHistory(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  const card = document.getElementById('historyCard');
+  const table = document.getElementById('historyTable');
+
+  historyJobId = jobId;
+  card.style.display = 'block';
+  document.getElementById('historyTitle').textContent = `Run History - ${job.name}`;
+  table.innerHTML = '<tr><td colspan="6">Loading runs...</td></tr>';
+
+  try {
+    const data = await jobsApi(`/${jobId}/runs`);
+
+    if (data.runs.length === 0) {
+      table.innerHTML = '<tr><td colspan="6">This job has not run yet.</td></tr>';
+      return;
+    }
+
+    table.innerHTML = data.runs.map(run => `
+      <tr>
+        <td>${formatDateTime(run.started_at)}</td>
+        <td>${run.trigger}</td>
+        <td><span class="run-status ${run.status}">${run.status}</span></td>
+        <td>${formatDuration(run.started_at, run.finished_at)}</td>
+        <td class="job-meta">
+          ${run.error_message ? escapeHtml(run.error_message) : ''}
+          ${run.sync_run_id ? `<div>Sync run ${run.sync_run_id}</div>` : ''}
+        </td>
+        <td><button class="btn btn-secondary" onclick="toggleLog(${run.id}, this)">Log</button></td>
+      </tr>
+      <tr id="log-${run.id}" style="display:none;">
+        <td colspan="6"><div class="run-log">Loading log...</div></td>
+      </tr>
+    `).join('');
+
+    // Refresh the history while a run is in progress
+    if (data.runs.some(run => run.status === 'running')) {
+      setTimeout(() => {
+        if (historyJobId === jobId) {
+          showHistory(jobId);
+          loadJobs();
+        }
+      }, 5000);
+    }
+  } catch (error) {
+    console.error('Error loading job runs:', error);
+    table.innerHTML = '<tr><td colspan="6">Failed to load job runs. Please try again.</td></tr>';
+  }
+
+  card.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Show or hide the log of a run, loading it the first time
+ */
+async function toggleLog(runId, button) {
+  const row = document.getElementById(`log-${runId}`);
+  const logBox = row.querySelector('.run-log');
+
+  if (row.style.display !== 'none') {
+    row.style.display = 'none';
+    button.textContent = 'Log';
+    return;
+  }
+
+  row.style.display = '';
+  button.textContent = 'Hide';
+
+  try {
+    const data = await jobsApi(`/runs/${runId}`);
+    logBox.textContent = data.run.log || (data.run.status === 'running' ? 'Still running...' : 'No log output.');
+  } catch (error) {
+    console.error('Error loading job log:', error);
+    logBox.textContent = error.message;
+  }
+}
+
+/**
+ * Put an example config for the selected job type in the add form
+ */
+function fillConfigExample() {
+  const jobType = document.getElementById('newJobType').value;
+  document.getElementById('newJobConfig').value = JSON.stringify(CONFIG_EXAMPLES[jobType] || {}, null, 2);
+}
+
+/**
+ * Create a job from the add form
+ */
+async function createJob(event) {
+  event.preventDefault();
+
+  const button = document.getElementById('createJobBtn');
+  const message = document.getElementById('createJobMessage');
+  let config;
+
+  try {
+    config = JSON.parse(document.getElementById('newJobConfig').value || '{}');
+  } catch (error) {
+    message.className = 'job-message error';
+    message.textContent = 'Config is not valid JSON';
+    return;
+  }
+
+  button.disabled = true;
+  message.className = 'job-message';
+  message.textContent = 'Saving...';
+
+  try {
+    await jobsApi('', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: document.getElementById('newJobName').value,
+        jobType: document.getElementById('newJobType').value,
+        cronExpression: document.getElementById('newJobCron').value,
+        config
+      })
+    });
+
+    message.textContent = 'Job added';
+    document.getElementById('newJobForm').reset();
+    fillConfigExample();
+    await loadJobs();
+  } catch (error) {
+    console.error('Error creating job:', error);
+    message.className = 'job-message error';
+    message.textContent = error.message;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Time between two timestamps, e.g. "2m 5s"
+ */
+function formatDuration(start, end) {
+  if (!end) return '-';
+
+  const seconds = Math.round((parseTimestamp(end) - parseTimestamp(start)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Parse a UTC timestamp that may be stored without a zone
+ */
+function parseTimestamp(value) {
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  return new Date(hasZone ? value : `${value}Z`);
+}
+
+/**
+ * Format a UTC timestamp in the browser's locale
+ */
+function formatDateTime(value) {
+  return parseTimestamp(value).toLocaleString();
+}
+
+/**
+ * Escape text entered by admins or taken from job output before putting it in HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Initialize on page load
+init();
@@ -0,0 +1,128 @@
+// Admin Ticket Status Classification
+let statuses = [];
+let categories = [];
+
+const CATEGORY_LABELS = {
+  open: 'Open',
+  on_hold: 'On Hold',
+  awaiting_customer: 'Awaiting Customer',
+  closed: 'Closed'
+};
+
+async function init() {
+  await initAuth();
+  await loadStatuses();
+}
+
+/**
+ * Load synced statuses from the API
+ */
+async function loadStatuses() {
+  try {
+    const authData = localStorage.getItem('sb-supabase-auth-token');
+    const session = JSON.parse(authData);
+    const token = session.access_token;
+
+    const response = await fetch('/api/admin/statuses', {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load statuses');
+    }
+
+    const data = await response.json();
+    statuses = data.statuses;
+    categories = data.categories;
+    renderStatuses();
+  } catch (error) {
+    console.error('Error loading statuses:', error);
+    document.getElementById('statusesTable').innerHTML =
+      '<tr><td colspan="4">Failed to load statuses. Please try again.</td></tr>';
+  }
+}
+
+/**
+ * Render the statuses table
+ */
+function renderStatuses() {
+  const table = document.getElementById('statusesTable');
+
+  if (statuses.length === 0) {
+    table.innerHTML = '<tr><td colspan="4">No statuses synced yet. Run a sync to load them from HaloPSA.</td></tr>';
+    return;
+  }
+
+  table.innerHTML = statuses.map(status => `
+    <tr>
+      <td>
+        ${status.name}
+        ${status.category_reviewed ? '' : '<span class="review-badge">Needs review</span>'}
+      </td>
+      <td>${status.ticketCount}</td>
+      <td>
+        <select class="category-select" data-status-id="${status.id}" onchange="updateCategory(${status.id}, this)">
+          ${categories.map(category => `
+            <option value="${category}" ${category === status.category ? 'selected' : ''}>
+              ${CATEGORY_LABELS[category] || category}
+            </option>
+          `).join('')}
+        </select>
+      </td>
+      <td><span class="status-message" id="statusMessage-${status.id}"></span></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Save a status category and report how many tickets were recomputed
+ */
+async function updateCategory(statusId, select) {
+  const status = statuses.find(s => s.id === statusId);
+  const message = document.getElementById(`statusMessage-${statusId}`);
+  const category = select.value;
+
+  select.disabled = true;
+  message.className = 'status-message';
+  message.textContent = 'Saving...';
+
+  try {
+    const authData = localStorage.getItem('sb-supabase-auth-token');
+    const session = JSON.parse(authData);
+    const token = session.access_token;
+
+    const response = await fetch(`/api/admin/statuses/${statusId}`, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ category })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to update status');
+    }
+
+    status.category = data.status.category;
+    status.category_reviewed = data.status.category_reviewed;
+    renderStatuses();
+
+    document.getElementById(`statusMessage-${statusId}`).textContent =
+      `Saved - ${data.ticketsUpdated} ticket${data.ticketsUpdated === 1 ? '' : 's'} updated`;
+  } catch (error) {
+    console.error('Error updating status:', error);
+    select.value = status.category;
+    select.disabled = false;
+    message.className = 'status-message error';
+    message.textContent = error.message;
+  }
+}
+
+// Initialize on page load
+init();
@@ -272,6 +272,10 @@ function updateAdminNavigation() {
   const adminNavSection = document.getElementById('adminNavSection');
   const adminUsersLink = document.getElementById('adminUsersLink');
   const adminCompaniesLink = document.getElementById('adminCompaniesLink');
+  const adminStatusesLink = document.getElementById('adminStatusesLink');
+  const adminDataQualityLink = document.getElementById('adminDataQualityLink');
+  const adminJobsLink = document.getElementById('adminJobsLink');
+  const adminComparisonLink = document.getElementById('adminComparisonLink');
 
   // Show admin navigation only for super admins (even when impersonating, so they can get back)
   const showAdminNav = userProfile && userProfile.role === 'super_admin';
@@ -279,6 +283,10 @@ function updateAdminNavigation() {
   if (adminNavSection) adminNavSection.style.display = showAdminNav ? 'block' : 'none';
   if (adminUsersLink) adminUsersLink.style.display = showAdminNav ? 'block' : 'none';
   if (adminCompaniesLink) adminCompaniesLink.style.display = showAdminNav ? 'block' : 'none';
+  if (adminStatusesLink) adminStatusesLink.style.display = showAdminNav ? 'block' : 'none';
+  if (adminDataQualityLink) adminDataQualityLink.style.display = showAdminNav ? 'block' : 'none';
+  if (adminJobsLink) adminJobsLink.style.display = showAdminNav ? 'block' : 'none';
+  if (adminComparisonLink) adminComparisonLink.style.display = showAdminNav ? 'block' : 'none';
 }
 
 /**
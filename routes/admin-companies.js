@@ -38,7 +38,8 @@ router.get('/', requireSuperAdmin, async (req, res) => {
         halopsa_client_id,
         clients (
           id,
-          name
+          name,
+          halo_source
         )
       `);
 
@@ -63,7 +64,8 @@ router.get('/', requireSuperAdmin, async (req, res) => {
         .filter(m => m.company_id === company.id)
         .map(m => ({
           id: m.halopsa_client_id,
-          name: m.clients?.name || 'Unknown'
+          name: m.clients?.name || 'Unknown',
+          halo_source: m.clients?.halo_source || null
         }));
 
       const ninjaOneOrgs = ninjaOneMappings
@@ -93,13 +95,13 @@ router.get('/', requireSuperAdmin, async (req, res) => {
 
 /**
  * GET /api/admin/companies/available-clients
- * Get all available HaloPSA clients for mapping
+ * Get all available HaloPSA clients for mapping, from every HaloPSA source
  */
 router.get('/available-clients', requireSuperAdmin, async (req, res) => {
   try {
     const { data: clients, error } = await supabase
       .from('clients')
-      .select('id, name')
+      .select('id, name, halo_source')
       .order('name', { ascending: true });
 
     if (error) {
@@ -284,6 +286,111 @@ router.post('/:companyId/halopsa-clients', requireSuperAdmin, async (req, res) =
   }
 });
 
+/**
+ * GET /api/admin/companies/:companyId/sla-targets
+ * Get SLA targets (per HaloPSA priority) for a company
+ */
+router.get('/:companyId/sla-targets', requireSuperAdmin, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const { data, error } = await supabase
+      .from('sla_targets')
+      .select('priority_id, response_hours, resolution_hours')
+      .eq('company_id', companyId)
+      .order('priority_id', { ascending: true });
+
+    if (error) {
+      logger.error('Failed to fetch SLA targets', { error, companyId });
+      return res.status(500).json({ error: 'Failed to fetch SLA targets' });
+    }
+
+    res.json({ targets: data || [] });
+  } catch (error) {
+    logger.error('Error fetching SLA targets', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/companies/:companyId/sla-targets
+ * Set SLA targets for a company (replaces existing)
+ *
+ * Body:
+ * {
+ *   targets: [{ priority_id: number, response_hours: number|null, resolution_hours: number|null }]
+ * }
+ */
+router.post('/:companyId/sla-targets', requireSuperAdmin, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { targets } = req.body;
+
+    if (!Array.isArray(targets)) {
+      return res.status(400).json({ error: 'targets must be an array' });
+    }
+
+    const isValidHours = value => value === null || value === undefined || (typeof value === 'number' && value > 0);
+
+    for (const target of targets) {
+      if (!Number.isInteger(target.priority_id)) {
+        return res.status(400).json({ error: 'Each target must have an integer priority_id' });
+      }
+      if (!isValidHours(target.response_hours) || !isValidHours(target.resolution_hours)) {
+        return res.status(400).json({ error: 'response_hours and resolution_hours must be positive numbers or null' });
+      }
+    }
+
+    // Verify company exists
+    const { data: company, error: companyError } = await supabase
+      .from('companies')
+      .select('id')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Delete existing targets
+    const { error: deleteError } = await supabase
+      .from('sla_targets')
+      .delete()
+      .eq('company_id', companyId);
+
+    if (deleteError) {
+      logger.error('Failed to delete existing SLA targets', { error: deleteError, companyId });
+      return res.status(500).json({ error: 'Failed to update SLA targets' });
+    }
+
+    // Create new targets
+    if (targets.length > 0) {
+      const rows = targets.map(target => ({
+        company_id: companyId,
+        priority_id: target.priority_id,
+        response_hours: target.response_hours ?? null,
+        resolution_hours: target.resolution_hours ?? null
+      }));
+
+      const { error: insertError } = await supabase
+        .from('sla_targets')
+        .insert(rows);
+
+      if (insertError) {
+        logger.error('Failed to create SLA targets', { error: insertError, companyId });
+        return res.status(500).json({ error: 'Failed to create SLA targets' });
+      }
+    }
+
+    logger.info('SLA targets updated', { companyId, count: targets.length });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error updating SLA targets', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/admin/companies/:companyId/ninjaone-orgs
  * Set NinjaOne organization mappings for a company (replaces existing)
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../middleware/company-context');
+const logger = require('../logger');
+
+// Number of past checks returned in the history
+const HISTORY_LENGTH = 10;
+
+// Middleware to verify super admin access
+function requireSuperAdmin(req, res, next) {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+}
+
+/**
+ * GET /api/admin/data-quality
+ * Anomalies found by the most recent post-sync data quality check, plus the
+ * issue totals of recent checks
+ */
+router.get('/', requireSuperAdmin, async (req, res) => {
+  try {
+    // Each check writes one row per issue type, all with the same checked_at
+    const { data: rows, error } = await supabase
+      .from('data_quality_issues')
+      .select('run_id, issue_type, issue_count, sample_ids, checked_at')
+      .order('checked_at', { ascending: false })
+      .order('issue_type', { ascending: true })
+      .limit(200);
+
+    if (error) {
+      logger.error('Failed to fetch data quality issues', { error });
+      return res.status(500).json({ error: 'Failed to fetch data quality issues' });
+    }
+
+    const checks = [];
+
+    rows.forEach(row => {
+      let check = checks[checks.length - 1];
+
+      if (!check || check.checkedAt !== row.checked_at) {
+        check = { checkedAt: row.checked_at, runId: row.run_id, issues: [] };
+        checks.push(check);
+      }
+
+      check.issues.push({
+        type: row.issue_type,
+        count: row.issue_count,
+        sampleIds: row.sample_ids || []
+      });
+    });
+
+    res.json({
+      latest: checks[0] || null,
+      history: checks.slice(0, HISTORY_LENGTH).map(check => ({
+        checkedAt: check.checkedAt,
+        runId: check.runId,
+        totalIssues: check.issues.reduce((total, issue) => total + issue.count, 0)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching data quality issues', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch data quality issues' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../middleware/company-context');
+const logger = require('../logger');
+const { JOB_TYPES, getNextRunTime, validateJobConfig, startJobRun } = require('../scheduler');
+
+// Number of past runs returned in a job's history
+const HISTORY_LENGTH = 50;
+
+// Middleware to verify super admin access
+function requireSuperAdmin(req, res, next) {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+}
+
+/**
+ * Next run time for a cron expression as an ISO string
+ * Returns { error } if the expression is invalid or never matches.
+ */
+function scheduleFor(cronExpression) {
+  try {
+    const nextRunAt = getNextRunTime(cronExpression);
+
+    if (!nextRunAt) {
+      return { error: 'Cron expression never matches a date' };
+    }
+
+    return { nextRunAt: nextRunAt.toISOString() };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * GET /api/admin/jobs
+ * List scheduled jobs and the job types that can be created
+ */
+router.get('/', requireSuperAdmin, async (req, res) => {
+  try {
+    const { data: jobs, error } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      logger.error('Failed to fetch scheduled jobs', { error });
+      return res.status(500).json({ error: 'Failed to fetch scheduled jobs' });
+    }
+
+    res.json({
+      jobTypes: Object.entries(JOB_TYPES).map(([type, jobType]) => ({ type, label: jobType.label })),
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error fetching scheduled jobs', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch scheduled jobs' });
+  }
+});
+
+/**
+ * POST /api/admin/jobs
+ * Create a scheduled job
+ *
+ * Body: { name, jobType, cronExpression, config = {}, enabled = true }
+ */
+router.post('/', requireSuperAdmin, async (req, res) => {
+  try {
+    const { name, jobType, cronExpression, config = {}, enabled = true } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const configError = validateJobConfig(jobType, config);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    const schedule = scheduleFor(cronExpression);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const { data: job, error } = await supabase
+      .from('scheduled_jobs')
+      .insert({
+        name: name.trim(),
+        job_type: jobType,
+        cron_expression: cronExpression.trim(),
+        config,
+        enabled: !!enabled,
+        next_run_at: enabled ? schedule.nextRunAt : null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A job with this name already exists' });
+      }
+      logger.error('Failed to create scheduled job', { error });
+      return res.status(500).json({ error: 'Failed to create scheduled job' });
+    }
+
+    logger.info('Scheduled job created', { jobId: job.id, name: job.name, jobType, userId: req.user.id });
+
+    res.status(201).json({ job });
+  } catch (error) {
+    logger.error('Error creating scheduled job', { error: error.message });
+    res.status(500).json({ error: 'Failed to create scheduled job' });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/runs/:runId
+ * A single job run including its log
+ */
+router.get('/runs/:runId', requireSuperAdmin, async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId);
+
+    if (isNaN(runId)) {
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+
+    const { data: run, error } = await supabase
+      .from('scheduled_job_runs')
+      .select('*')
+      .eq('id', runId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to fetch job run', { error, runId });
+      return res.status(500).json({ error: 'Failed to fetch job run' });
+    }
+
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    logger.error('Error fetching job run', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch job run' });
+  }
+});
+
+/**
+ * PUT /api/admin/jobs/:jobId
+ * Enable, disable, rename, reschedule or reconfigure a job
+ *
+ * Body: { name?, cronExpression?, config?, enabled? }
+ */
+router.put('/:jobId', requireSuperAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+    const { name, cronExpression, config, enabled } = req.body;
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const { data: job, error: fetchError } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (fetchError) {
+      logger.error('Failed to fetch scheduled job', { error: fetchError, jobId });
+      return res.status(500).json({ error: 'Failed to update scheduled job' });
+    }
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updates.name = name.trim();
+    }
+
+    if (config !== undefined) {
+      const configError = validateJobConfig(job.job_type, config);
+      if (configError) {
+        return res.status(400).json({ error: configError });
+      }
+      updates.config = config;
+    }
+
+    if (cronExpression !== undefined) {
+      updates.cron_expression = String(cronExpression ?? '').trim();
+
+      if (!updates.cron_expression) {
+        return res.status(400).json({ error: 'cronExpression cannot be empty' });
+      }
+    }
+
+    if (enabled !== undefined) {
+      updates.enabled = !!enabled;
+    }
+
+    // Work out the next run whenever the schedule or enabled state changes
+    const isEnabled = updates.enabled !== undefined ? updates.enabled : job.enabled;
+
+    if (updates.cron_expression !== undefined || updates.enabled !== undefined) {
+      const schedule = scheduleFor(updates.cron_expression !== undefined ? updates.cron_expression : job.cron_expression);
+
+      if (schedule.error && (updates.cron_expression !== undefined || isEnabled)) {
+        return res.status(400).json({ error: schedule.error });
+      }
+
+      updates.next_run_at = isEnabled ? schedule.nextRunAt : null;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('scheduled_jobs')
+      .update(updates)
+      .eq('id', jobId)
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A job with this name already exists' });
+      }
+      logger.error('Failed to update scheduled job', { error, jobId });
+      return res.status(500).json({ error: 'Failed to update scheduled job' });
+    }
+
+    logger.info('Scheduled job updated', {
+      jobId,
+      fields: Object.keys(updates).filter(field => field !== 'updated_at'),
+      userId: req.user.id
+    });
+
+    res.json({ job: updated });
+  } catch (error) {
+    logger.error('Error updating scheduled job', { error: error.message });
+    res.status(500).json({ error: 'Failed to update scheduled job' });
+  }
+});
+
+/**
+ * DELETE /api/admin/jobs/:jobId
+ * Delete a job and its run history
+ */
+router.delete('/:jobId', requireSuperAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('scheduled_jobs')
+      .delete()
+      .eq('id', jobId)
+      .select('id, name');
+
+    if (error) {
+      logger.error('Failed to delete scheduled job', { error, jobId });
+      return res.status(500).json({ error: 'Failed to delete scheduled job' });
+    }
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    logger.info('Scheduled job deleted', { jobId, name: deleted[0].name, userId: req.user.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting scheduled job', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete scheduled job' });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:jobId/run
+ * Run a job now, whether or not it is enabled
+ * Returns the run ID straight away; poll GET /api/admin/jobs/runs/:runId for the result.
+ */
+router.post('/:jobId/run', requireSuperAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const { data: job, error } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to fetch scheduled job', { error, jobId });
+      return res.status(500).json({ error: 'Failed to start job' });
+    }
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { runId } = await startJobRun(job, { trigger: 'manual', triggeredBy: req.user.id });
+
+    logger.info('Scheduled job run manually', { jobId, runId, userId: req.user.id });
+
+    res.status(202).json({ runId });
+  } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error starting job', { error: error.message });
+    res.status(500).json({ error: 'Failed to start job' });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:jobId/runs
+ * Recent runs of a job, newest first (without logs)
+ */
+router.get('/:jobId/runs', requireSuperAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const { data: runs, error } = await supabase
+      .from('scheduled_job_runs')
+      .select('id, trigger, triggered_by, status, error_message, sync_run_id, started_at, finished_at')
+      .eq('job_id', jobId)
+      .order('started_at', { ascending: false })
+      .limit(HISTORY_LENGTH);
+
+    if (error) {
+      logger.error('Failed to fetch job runs', { error, jobId });
+      return res.status(500).json({ error: 'Failed to fetch job runs' });
+    }
+
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Error fetching job runs', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../middleware/company-context');
+const logger = require('../logger');
+const { STATUS_CATEGORIES } = require('../ticket-metrics');
+
+// Middleware to verify super admin access
+function requireSuperAdmin(req, res, next) {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+}
+
+/**
+ * GET /api/admin/statuses
+ * List synced HaloPSA ticket statuses with their category and ticket counts
+ */
+router.get('/', requireSuperAdmin, async (req, res) => {
+  try {
+    const { data: statuses, error } = await supabase
+      .from('ticket_statuses')
+      .select('id, name, category, category_reviewed, updated_at')
+      .order('name', { ascending: true });
+
+    if (error) {
+      logger.error('Failed to fetch ticket statuses', { error });
+      return res.status(500).json({ error: 'Failed to fetch ticket statuses' });
+    }
+
+    // Show how many tickets a change of category would affect
+    const counts = await Promise.all(statuses.map(status =>
+      supabase
+        .from('tickets')
+        .select('id', { count: 'exact', head: true })
+        .eq('status_id', status.id)
+        .is('removal_status', null)
+    ));
+
+    const countError = counts.find(c => c.error);
+    if (countError) {
+      logger.error('Failed to count tickets per status', { error: countError.error });
+      return res.status(500).json({ error: 'Failed to fetch ticket statuses' });
+    }
+
+    res.json({
+      categories: STATUS_CATEGORIES,
+      statuses: statuses.map((status, index) => ({
+        ...status,
+        ticketCount: counts[index].count || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching ticket statuses', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch ticket statuses' });
+  }
+});
+
+/**
+ * PUT /api/admin/statuses/:statusId
+ * Classify a status and recompute the tickets that have it
+ *
+ * Body: { category: 'open' | 'closed' | 'on_hold' | 'awaiting_customer' }
+ */
+router.put('/:statusId', requireSuperAdmin, async (req, res) => {
+  try {
+    const statusId = parseInt(req.params.statusId);
+    const { category } = req.body;
+
+    if (isNaN(statusId)) {
+      return res.status(400).json({ error: 'Invalid status ID' });
+    }
+
+    if (!STATUS_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${STATUS_CATEGORIES.join(', ')}` });
+    }
+
+    const { data: status, error } = await supabase
+      .from('ticket_statuses')
+      .update({
+        category,
+        category_reviewed: true,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', statusId)
+      .select('id, name, category, category_reviewed')
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to update ticket status', { error, statusId });
+      return res.status(500).json({ error: 'Failed to update ticket status' });
+    }
+
+    if (!status) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    const { data: ticketsUpdated, error: applyError } = await supabase
+      .rpc('apply_status_categories', { status_ids: [statusId] });
+
+    if (applyError) {
+      logger.error('Failed to recompute tickets for status', { error: applyError, statusId });
+      return res.status(500).json({ error: 'Status updated but tickets could not be recomputed' });
+    }
+
+    logger.info('Ticket status classified', {
+      statusId,
+      category,
+      ticketsUpdated,
+      userId: req.user.id
+    });
+
+    res.json({ status, ticketsUpdated });
+  } catch (error) {
+    logger.error('Error updating ticket status', { error: error.message });
+    res.status(500).json({ error: 'Failed to update ticket status' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,792 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../middleware/company-context');
+const logger = require('../logger');
+const { PAGE_SIZE, fetchAllRows, hoursBetween, summariseDurations, loadTicketLookups, getBacklogSeries } = require('../ticket-metrics');
+const { toHaloId } = require('../halo-sources');
+const ninjaOneClient = require('../ninjaone-client');
+
+// Age buckets of the open-ticket aging report (maxDays: oldest whole-day age in the bucket)
+const AGE_BUCKETS = [
+  { key: '0-2', label: '0-2 days', maxDays: 2 },
+  { key: '3-7', label: '3-7 days', maxDays: 7 },
+  { key: '8-30', label: '8-30 days', maxDays: 30 },
+  { key: '31-90', label: '31-90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: null }
+];
+
+// Most clients that can be compared side by side in one request
+const MAX_COMPARISON_CLIENTS = 20;
+
+// Middleware to verify super admin access
+function requireSuperAdmin(req, res, next) {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+}
+
+// Middleware to verify the user can see the HaloPSA client in req.query.clientId
+// Super admins see every client; other users only their active company's clients.
+// Sets req.clientId to the parsed client ID.
+async function requireClientAccess(req, res, next) {
+  const clientId = parseInt(req.query.clientId);
+
+  if (isNaN(clientId)) {
+    return res.status(400).json({ error: 'clientId is required' });
+  }
+
+  if (!req.isSuperAdmin) {
+    if (!req.activeCompanyId) {
+      return res.status(403).json({ error: 'No active company assigned' });
+    }
+
+    const { data: mappings, error } = await supabase
+      .from('company_halopsa_clients')
+      .select('halopsa_client_id')
+      .eq('company_id', req.activeCompanyId)
+      .eq('halopsa_client_id', clientId)
+      .limit(1);
+
+    if (error) {
+      logger.error('Error fetching company HaloPSA clients', { error });
+      return res.status(500).json({ error: 'Failed to fetch company data' });
+    }
+
+    if (mappings.length === 0) {
+      return res.status(403).json({ error: 'Access denied to this client' });
+    }
+  }
+
+  req.clientId = clientId;
+  next();
+}
+
+// Middleware for reports where the client is optional: checks access when req.query.clientId is given
+function optionalClientAccess(req, res, next) {
+  if (req.query.clientId) {
+    return requireClientAccess(req, res, next);
+  }
+  next();
+}
+
+/**
+ * Clients a report covers when no clientId is given
+ *
+ * @returns {Promise<Array<number>|null>} null for super admins (every client), otherwise the
+ *   active company's HaloPSA client IDs
+ */
+async function getVisibleClientIds(req) {
+  if (req.isSuperAdmin) {
+    return null;
+  }
+
+  const { data: mappings, error } = await supabase
+    .from('company_halopsa_clients')
+    .select('halopsa_client_id')
+    .eq('company_id', req.activeCompanyId);
+
+  if (error) {
+    throw error;
+  }
+
+  return mappings.map(m => m.halopsa_client_id);
+}
+
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Resolve startDate/endDate query parameters (YYYY-MM-DD), defaulting to the
+ * current quarter to date when neither is given
+ *
+ * @returns {{ startDate, endDate, endBoundary }|null} null if the range is invalid
+ */
+function resolveDateRange(query) {
+  let { startDate, endDate } = query;
+
+  if (!startDate && !endDate) {
+    const now = new Date();
+    startDate = formatDate(new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1));
+    endDate = formatDate(now);
+  }
+
+  const rangeStart = new Date(`${startDate}T00:00:00`);
+  const rangeEnd = new Date(`${endDate}T23:59:59.999`);
+
+  if (!startDate || !endDate || isNaN(rangeStart) || isNaN(rangeEnd) || rangeStart > rangeEnd) {
+    return null;
+  }
+
+  return { startDate, endDate, endBoundary: `${endDate}T23:59:59.999` };
+}
+
+/**
+ * Build workload rows (opened, closed, mean resolution, backlog) grouped by a key
+ *
+ * @param {Array} tickets - Tickets overlapping the range
+ * @param {Function} getKey - Returns the group key for a ticket (null = unassigned)
+ * @param {Date} rangeStart - Start of the range
+ * @param {Date} rangeEnd - End of the range (inclusive)
+ */
+function buildWorkload(tickets, getKey, rangeStart, rangeEnd) {
+  const groups = new Map();
+
+  tickets.forEach(ticket => {
+    const key = getKey(ticket) ?? null;
+
+    if (!groups.has(key)) {
+      groups.set(key, { id: key, opened: 0, closed: 0, openBacklog: 0, resolutionHours: [] });
+    }
+
+    const group = groups.get(key);
+    const occurred = new Date(ticket.date_occurred);
+    const closed = ticket.date_closed ? new Date(ticket.date_closed) : null;
+
+    if (occurred >= rangeStart && occurred <= rangeEnd) {
+      group.opened++;
+    }
+
+    if (closed && closed >= rangeStart && closed <= rangeEnd) {
+      group.closed++;
+
+      const hours = hoursBetween(ticket.date_occurred, ticket.date_closed);
+      if (hours !== null && hours >= 0) {
+        group.resolutionHours.push(hours);
+      }
+    }
+
+    // Open at the end of the range (closed tickets without a close date don't count)
+    const openAtEnd = closed ? closed > rangeEnd : !ticket.is_closed;
+    if (occurred <= rangeEnd && openAtEnd) {
+      group.openBacklog++;
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ resolutionHours, ...group }) => ({
+      ...group,
+      meanResolutionHours: resolutionHours.length > 0
+        ? Math.round(resolutionHours.reduce((sum, h) => sum + h, 0) / resolutionHours.length * 10) / 10
+        : null
+    }))
+    .sort((a, b) => b.openBacklog - a.openBacklog || b.opened - a.opened);
+}
+
+/**
+ * Count tickets (total, open, closed, distinct requesters, mean resolution) grouped by a key
+ *
+ * @param {Array} tickets - Tickets with user_id, is_closed, date_occurred and date_closed
+ * @param {Function} getKey - Returns the group key for a ticket (null = none)
+ */
+function buildTicketBreakdown(tickets, getKey) {
+  const groups = new Map();
+
+  tickets.forEach(ticket => {
+    const key = getKey(ticket) ?? null;
+
+    if (!groups.has(key)) {
+      groups.set(key, { id: key, totalTickets: 0, openTickets: 0, closedTickets: 0, requesterIds: new Set(), resolutionHours: [] });
+    }
+
+    const group = groups.get(key);
+    group.totalTickets++;
+
+    if (ticket.is_closed) {
+      group.closedTickets++;
+      group.resolutionHours.push(hoursBetween(ticket.date_occurred, ticket.date_closed));
+    } else {
+      group.openTickets++;
+    }
+
+    if (ticket.user_id) {
+      group.requesterIds.add(ticket.user_id);
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ requesterIds, resolutionHours, ...group }) => ({
+      ...group,
+      share: tickets.length > 0 ? Math.round(group.totalTickets / tickets.length * 1000) / 10 : 0,
+      requesters: requesterIds.size,
+      meanResolutionHours: summariseDurations(resolutionHours).mean
+    }))
+    .sort((a, b) => b.totalTickets - a.totalTickets);
+}
+
+/**
+ * Fetch a client's tickets logged within a date range (deleted/merged tickets excluded)
+ */
+function fetchClientTickets(clientId, range) {
+  return fetchAllRows(() => supabase
+    .from('tickets')
+    .select('id, site_id, site_name, user_id, user_name, is_closed, date_occurred, date_closed')
+    .eq('client_id', clientId)
+    .is('removal_status', null)
+    .gte('date_occurred', range.startDate)
+    .lte('date_occurred', range.endBoundary)
+    .order('id', { ascending: true }));
+}
+
+/**
+ * Count the NinjaOne devices of each client, through the companies the clients are mapped to
+ *
+ * A company's devices count towards every client mapped to it.
+ *
+ * @param {Array<number>} clientIds - HaloPSA client IDs
+ * @returns {Promise<Map<number, number|null>>} client ID -> device count (null = no NinjaOne
+ *   organization mapped)
+ */
+async function loadClientDeviceCounts(clientIds) {
+  const { data: clientMappings, error: clientMappingsError } = await supabase
+    .from('company_halopsa_clients')
+    .select('company_id, halopsa_client_id')
+    .in('halopsa_client_id', clientIds);
+
+  if (clientMappingsError) {
+    throw clientMappingsError;
+  }
+
+  const companyIds = [...new Set(clientMappings.map(m => m.company_id))];
+  const { data: orgMappings, error: orgMappingsError } = companyIds.length === 0
+    ? { data: [], error: null }
+    : await supabase
+      .from('company_ninjaone_orgs')
+      .select('company_id, ninjaone_org_id')
+      .in('company_id', companyIds);
+
+  if (orgMappingsError) {
+    throw orgMappingsError;
+  }
+
+  const deviceCounts = orgMappings.length > 0 ? await ninjaOneClient.getDeviceCountsByOrganization() : new Map();
+
+  return new Map(clientIds.map(clientId => {
+    const clientCompanyIds = new Set(clientMappings
+      .filter(m => m.halopsa_client_id === clientId)
+      .map(m => m.company_id));
+    const orgIds = new Set(orgMappings
+      .filter(m => clientCompanyIds.has(m.company_id))
+      .map(m => m.ninjaone_org_id));
+
+    if (orgIds.size === 0) {
+      return [clientId, null];
+    }
+
+    return [clientId, [...orgIds].reduce((sum, orgId) => sum + (deviceCounts.get(orgId) || 0), 0)];
+  }));
+}
+
+/**
+ * Months (YYYY-MM) from the month of startDate to the month of endDate
+ */
+function monthsBetween(startDate, endDate) {
+  const months = [];
+  let [year, month] = startDate.split('-').map(Number);
+  const last = endDate.slice(0, 7);
+
+  while (true) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    months.push(key);
+
+    if (key >= last) {
+      return months;
+    }
+
+    month = month === 12 ? 1 : month + 1;
+    year = month === 1 ? year + 1 : year;
+  }
+}
+
+/**
+ * GET /api/reports/sites
+ * A client's tickets broken down by site (office)
+ *
+ * Query: clientId, optional startDate and endDate (YYYY-MM-DD, default: this quarter)
+ */
+router.get('/sites', requireClientAccess, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const tickets = await fetchClientTickets(req.clientId, range);
+
+    const { data: sites, error } = await supabase
+      .from('sites')
+      .select('id, name, inactive')
+      .eq('client_id', req.clientId);
+
+    if (error) {
+      logger.error('Failed to fetch sites', { error, clientId: req.clientId });
+      return res.status(500).json({ error: 'Failed to fetch site report' });
+    }
+
+    const siteNames = new Map(sites.map(site => [site.id, site.name]));
+
+    // Fall back to the site name stored on the ticket if the site isn't synced
+    tickets.forEach(t => {
+      if (t.site_id && !siteNames.has(t.site_id) && t.site_name) {
+        siteNames.set(t.site_id, t.site_name);
+      }
+    });
+
+    const rows = buildTicketBreakdown(tickets, t => t.site_id || null);
+
+    // Include active sites without tickets, so quiet offices are visible too
+    const reportedSiteIds = new Set(rows.map(row => row.id));
+    sites
+      .filter(site => !site.inactive && !reportedSiteIds.has(site.id))
+      .forEach(site => rows.push({
+        id: site.id,
+        totalTickets: 0,
+        openTickets: 0,
+        closedTickets: 0,
+        share: 0,
+        requesters: 0,
+        meanResolutionHours: null
+      }));
+
+    res.json({
+      clientId: req.clientId,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      totalTickets: tickets.length,
+      sites: rows.map(row => ({
+        ...row,
+        name: row.id === null ? 'No Site' : siteNames.get(row.id) || `Site ${row.id}`
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching site report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch site report' });
+  }
+});
+
+/**
+ * GET /api/reports/requesters
+ * A client's top ticket requesters (end users)
+ *
+ * Query: clientId, optional startDate and endDate (YYYY-MM-DD, default: this quarter),
+ * optional limit (default 10, max 100)
+ */
+router.get('/requesters', requireClientAccess, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const tickets = await fetchClientTickets(req.clientId, range);
+
+    const rows = buildTicketBreakdown(tickets, t => t.user_id || null).slice(0, limit);
+    const userIds = rows.map(row => row.id).filter(Boolean);
+
+    const { data: users, error } = userIds.length > 0
+      ? await supabase
+        .from('end_users')
+        .select('id, name, email, site_id, site_name')
+        .in('id', userIds)
+      : { data: [], error: null };
+
+    if (error) {
+      logger.error('Failed to fetch end users', { error, clientId: req.clientId });
+      return res.status(500).json({ error: 'Failed to fetch requester report' });
+    }
+
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    // The newest ticket from each requester gives name/site fallbacks for users not synced yet
+    const latestTicketByUser = new Map();
+    tickets.forEach(t => {
+      const latest = latestTicketByUser.get(t.user_id);
+      if (!latest || t.date_occurred > latest.date_occurred) {
+        latestTicketByUser.set(t.user_id, t);
+      }
+    });
+
+    res.json({
+      clientId: req.clientId,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      totalTickets: tickets.length,
+      totalRequesters: new Set(tickets.map(t => t.user_id).filter(Boolean)).size,
+      requesters: rows.map(({ requesters, ...row }) => {
+        const user = usersById.get(row.id);
+        const latestTicket = latestTicketByUser.get(row.id);
+
+        return {
+          ...row,
+          name: row.id === null
+            ? 'Unknown Requester'
+            : user?.name || latestTicket?.user_name || `User ${row.id}`,
+          email: user?.email || null,
+          siteId: user?.site_id ?? latestTicket?.site_id ?? null,
+          siteName: user?.site_name || latestTicket?.site_name || null
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('Error fetching requester report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch requester report' });
+  }
+});
+
+/**
+ * GET /api/reports/workload
+ * Tickets opened/closed, mean resolution time and open backlog per agent and team
+ *
+ * Query: startDate, endDate (YYYY-MM-DD), optional clientId
+ */
+router.get('/workload', requireSuperAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, clientId } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const rangeStart = new Date(`${startDate}T00:00:00`);
+    const rangeEnd = new Date(`${endDate}T23:59:59.999`);
+
+    if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeStart > rangeEnd) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const parsedClientId = clientId ? parseInt(clientId) : null;
+
+    if (clientId && isNaN(parsedClientId)) {
+      return res.status(400).json({ error: 'Invalid client ID' });
+    }
+
+    const endBoundary = `${endDate}T23:59:59.999`;
+
+    // Every ticket that was opened, closed or still open during the range
+    const tickets = await fetchAllRows(() => {
+      let query = supabase
+        .from('tickets')
+        .select('id, agent_id, team_id, team, date_occurred, date_closed, is_closed')
+        .is('removal_status', null)
+        .lte('date_occurred', endBoundary)
+        .or(`date_closed.is.null,date_closed.gte.${startDate}`)
+        .order('id', { ascending: true });
+
+      if (parsedClientId !== null) {
+        query = query.eq('client_id', parsedClientId);
+      }
+
+      return query;
+    });
+
+    const [{ data: agents, error: agentsError }, { data: teams, error: teamsError }] = await Promise.all([
+      supabase.from('agents').select('id, name'),
+      supabase.from('teams').select('id, name')
+    ]);
+
+    if (agentsError || teamsError) {
+      logger.error('Failed to fetch agents or teams', { error: agentsError || teamsError });
+      return res.status(500).json({ error: 'Failed to fetch workload report' });
+    }
+
+    const agentNames = new Map(agents.map(a => [a.id, a.name]));
+    const teamNames = new Map(teams.map(t => [t.id, t.name]));
+
+    // Fall back to the team name stored on the ticket if the team isn't synced
+    tickets.forEach(t => {
+      if (t.team_id && !teamNames.has(t.team_id) && t.team) {
+        teamNames.set(t.team_id, t.team);
+      }
+    });
+
+    const agentRows = buildWorkload(tickets, t => t.agent_id || null, rangeStart, rangeEnd)
+      .map(row => ({
+        ...row,
+        name: row.id === null ? 'Unassigned' : agentNames.get(row.id) || `Agent ${row.id}`
+      }));
+
+    const teamRows = buildWorkload(tickets, t => t.team_id || null, rangeStart, rangeEnd)
+      .map(row => ({
+        ...row,
+        name: row.id === null ? 'No Team' : teamNames.get(row.id) || `Team ${row.id}`
+      }));
+
+    res.json({
+      startDate,
+      endDate,
+      agents: agentRows,
+      teams: teamRows
+    });
+  } catch (error) {
+    logger.error('Error fetching workload report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch workload report' });
+  }
+});
+
+/**
+ * GET /api/reports/aging
+ * Open tickets grouped by age (0-2, 3-7, 8-30, 31-90 and 90+ days), each bucket with its
+ * tickets oldest first
+ *
+ * Query: optional clientId (default: every client the user can see - all clients for
+ * super admins, the active company's clients for other users)
+ */
+router.get('/aging', optionalClientAccess, async (req, res) => {
+  try {
+    if (!req.clientId && !req.isSuperAdmin && !req.activeCompanyId) {
+      return res.status(403).json({ error: 'No active company assigned' });
+    }
+
+    let clientIds;
+    try {
+      clientIds = req.clientId ? [req.clientId] : await getVisibleClientIds(req);
+    } catch (mappingsError) {
+      logger.error('Error fetching company HaloPSA clients', { error: mappingsError });
+      return res.status(500).json({ error: 'Failed to fetch company data' });
+    }
+
+    const tickets = clientIds && clientIds.length === 0 ? [] : await fetchAllRows(() => {
+      let query = supabase
+        .from('tickets')
+        .select('id, client_id, client_name, summary, status_name, priority_id, agent_id, date_occurred')
+        .eq('is_closed', false)
+        .is('removal_status', null)
+        .order('date_occurred', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (clientIds) {
+        query = query.in('client_id', clientIds);
+      }
+
+      return query;
+    });
+
+    const [lookups, { data: agents, error: agentsError }] = await Promise.all([
+      loadTicketLookups(supabase),
+      supabase.from('agents').select('id, name')
+    ]);
+
+    if (agentsError) {
+      logger.error('Failed to fetch agents', { error: agentsError });
+      return res.status(500).json({ error: 'Failed to fetch aging report' });
+    }
+
+    const agentNames = new Map(agents.map(a => [a.id, a.name]));
+    const now = new Date();
+    const buckets = AGE_BUCKETS.map(bucket => ({ ...bucket, count: 0, tickets: [] }));
+
+    tickets.forEach(ticket => {
+      const ageDays = Math.max(0, Math.floor(hoursBetween(ticket.date_occurred, now) / 24));
+      const bucket = buckets.find(b => b.maxDays === null || ageDays <= b.maxDays);
+
+      bucket.count++;
+      bucket.tickets.push({
+        id: ticket.id,
+        haloId: toHaloId(ticket.id),
+        clientId: ticket.client_id,
+        clientName: ticket.client_name,
+        summary: ticket.summary,
+        status: ticket.status_name,
+        priority: ticket.priority_id === null ? null : lookups.priorities.get(ticket.priority_id) || `Priority ${ticket.priority_id}`,
+        agent: ticket.agent_id ? agentNames.get(ticket.agent_id) || `Agent ${ticket.agent_id}` : null,
+        dateOccurred: ticket.date_occurred,
+        ageDays
+      });
+    });
+
+    res.json({
+      clientId: req.clientId || null,
+      totalOpen: tickets.length,
+      buckets
+    });
+  } catch (error) {
+    logger.error('Error fetching aging report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch aging report' });
+  }
+});
+
+/**
+ * GET /api/reports/backlog
+ * Number of tickets open at the end of each day
+ *
+ * Query: optional clientId (default: every client the user can see), optional startDate and
+ * endDate (YYYY-MM-DD, default: this quarter to date), optional timeZone (IANA name, default UTC)
+ */
+router.get('/backlog', optionalClientAccess, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const timeZone = req.query.timeZone || 'UTC';
+
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    // One row per day, and Supabase returns at most PAGE_SIZE rows
+    const dayCount = Math.round((new Date(range.endDate) - new Date(range.startDate)) / (24 * 60 * 60 * 1000)) + 1;
+    if (dayCount > PAGE_SIZE) {
+      return res.status(400).json({ error: `Date range can be at most ${PAGE_SIZE} days` });
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (timeZoneError) {
+      return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+    }
+
+    if (!req.clientId && !req.isSuperAdmin && !req.activeCompanyId) {
+      return res.status(403).json({ error: 'No active company assigned' });
+    }
+
+    let clientIds;
+    try {
+      clientIds = req.clientId ? [req.clientId] : await getVisibleClientIds(req);
+    } catch (mappingsError) {
+      logger.error('Error fetching company HaloPSA clients', { error: mappingsError });
+      return res.status(500).json({ error: 'Failed to fetch company data' });
+    }
+
+    const days = await getBacklogSeries(supabase, {
+      clientIds,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timeZone
+    });
+
+    res.json({
+      clientId: req.clientId || null,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timeZone,
+      days
+    });
+  } catch (error) {
+    logger.error('Error fetching backlog report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch backlog report' });
+  }
+});
+
+/**
+ * GET /api/reports/comparison
+ * Side-by-side ticket volume, tickets per device, resolution time and satisfaction for a set of
+ * clients over the same period, with monthly ticket counts for an overlay chart
+ *
+ * Query: clientIds (comma-separated HaloPSA client IDs, at most MAX_COMPARISON_CLIENTS),
+ * optional startDate and endDate (YYYY-MM-DD, default: this quarter to date)
+ */
+router.get('/comparison', requireSuperAdmin, async (req, res) => {
+  try {
+    const clientIds = [...new Set(String(req.query.clientIds || '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean))];
+
+    if (clientIds.length === 0 || clientIds.some(id => !/^\d+$/.test(id))) {
+      return res.status(400).json({ error: 'clientIds must be a comma-separated list of client IDs' });
+    }
+
+    if (clientIds.length > MAX_COMPARISON_CLIENTS) {
+      return res.status(400).json({ error: `At most ${MAX_COMPARISON_CLIENTS} clients can be compared` });
+    }
+
+    const range = resolveDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const ids = clientIds.map(Number);
+
+    const [{ data: clients, error: clientsError }, tickets, feedback] = await Promise.all([
+      supabase.from('clients').select('id, name, halo_source').in('id', ids),
+      fetchAllRows(() => supabase
+        .from('tickets')
+        .select('id, client_id, user_id, is_closed, date_occurred, date_closed')
+        .in('client_id', ids)
+        .is('removal_status', null)
+        .gte('date_occurred', range.startDate)
+        .lte('date_occurred', range.endBoundary)
+        .order('id', { ascending: true })),
+      // Feedback given during the range (skipping feedback on deleted or merged tickets)
+      fetchAllRows(() => supabase
+        .from('feedback')
+        .select('id, score, tickets!inner(client_id, removal_status)')
+        .in('tickets.client_id', ids)
+        .is('tickets.removal_status', null)
+        .gte('date', range.startDate)
+        .lte('date', range.endBoundary)
+        .order('id', { ascending: true }))
+    ]);
+
+    if (clientsError) {
+      logger.error('Failed to fetch clients', { error: clientsError });
+      return res.status(500).json({ error: 'Failed to fetch comparison report' });
+    }
+
+    // Devices are optional - compare without them if NinjaOne isn't reachable
+    let deviceCounts = null;
+    try {
+      deviceCounts = await loadClientDeviceCounts(ids);
+    } catch (deviceError) {
+      logger.warn('Error loading device counts for client comparison', { error: deviceError.message });
+    }
+
+    const months = monthsBetween(range.startDate, range.endDate);
+    const clientsById = new Map(clients.map(c => [c.id, c]));
+    const breakdown = new Map(buildTicketBreakdown(tickets, t => t.client_id).map(row => [row.id, row]));
+
+    const rows = ids.map(clientId => {
+      const client = clientsById.get(clientId);
+      const ticketStats = breakdown.get(clientId) || { totalTickets: 0, openTickets: 0, closedTickets: 0, requesters: 0, meanResolutionHours: null };
+      const devices = deviceCounts ? deviceCounts.get(clientId) : null;
+
+      const scores = feedback.filter(f => f.tickets.client_id === clientId && f.score).map(f => f.score);
+      const satisfied = scores.filter(score => score === 1).length;
+
+      const monthlyCounts = new Map(months.map(month => [month, 0]));
+      tickets
+        .filter(t => t.client_id === clientId)
+        .forEach(t => {
+          const month = t.date_occurred.slice(0, 7);
+          monthlyCounts.set(month, (monthlyCounts.get(month) || 0) + 1);
+        });
+
+      return {
+        clientId,
+        name: client ? client.name : `Client ${clientId}`,
+        haloSource: client ? client.halo_source : null,
+        totalTickets: ticketStats.totalTickets,
+        openTickets: ticketStats.openTickets,
+        closedTickets: ticketStats.closedTickets,
+        requesters: ticketStats.requesters,
+        meanResolutionHours: ticketStats.meanResolutionHours,
+        devices,
+        ticketsPerDevice: devices ? Math.round(ticketStats.totalTickets / devices * 100) / 100 : null,
+        satisfaction: {
+          satisfied,
+          dissatisfied: scores.filter(score => score === 2).length,
+          total: scores.length,
+          satisfactionRate: scores.length > 0 ? Math.round(satisfied / scores.length * 1000) / 10 : null
+        },
+        monthlyTickets: months.map(month => monthlyCounts.get(month))
+      };
+    });
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      devicesAvailable: deviceCounts !== null,
+      months,
+      clients: rows
+    });
+  } catch (error) {
+    logger.error('Error fetching comparison report', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch comparison report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../middleware/company-context');
+const logger = require('../logger');
+const { loadTicketLookups } = require('../ticket-metrics');
+const { toHaloId } = require('../halo-sources');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort options of the ticket list => tickets column
+const SORT_COLUMNS = {
+  dateOccurred: 'date_occurred',
+  dateClosed: 'date_closed',
+  lastActionDate: 'last_action_date',
+  priority: 'priority_id',
+  id: 'id'
+};
+
+// ID filters of the ticket list (query parameter => tickets column)
+const ID_FILTERS = {
+  statusId: 'status_id',
+  teamId: 'team_id',
+  agentId: 'agent_id',
+  priorityId: 'priority_id',
+  siteId: 'site_id'
+};
+
+const TICKET_COLUMNS = 'id, client_id, client_name, site_id, site_name, user_name, summary, status_id, status_name, status_category, ' +
+  'priority_id, tickettype_id, team_id, team, agent_id, date_occurred, date_closed, last_action_date, is_closed';
+
+/**
+ * Parse a comma-separated list of IDs, e.g. "3,7"
+ *
+ * @returns {Array<number>|null} null if any entry is not an integer
+ */
+function parseIdList(value) {
+  const ids = String(value).split(',').map(id => Number(id.trim()));
+  return ids.every(Number.isInteger) ? ids : null;
+}
+
+/**
+ * Encode the position after a ticket as an opaque cursor
+ * The sort is included so a cursor can't be reused with a different order.
+ */
+function encodeCursor(sort, ticket) {
+  const payload = { sort, value: ticket[SORT_COLUMNS[sort.split(':')[0]]], id: ticket.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ *
+ * @returns {{ value, id: number }|null} null if the cursor is malformed or for another sort
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+    if (payload.sort !== sort || !Number.isInteger(payload.id) || payload.value === undefined) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Limit a tickets query to the rows after a cursor
+ * Rows are ordered by the sort column (empty values last) and then by ID.
+ */
+function applyCursor(query, column, ascending, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (column === 'id') {
+    return query[op]('id', cursor.id);
+  }
+
+  if (cursor.value === null) {
+    return query.is(column, null)[op]('id', cursor.id);
+  }
+
+  const value = `"${String(cursor.value).replace(/"/g, '')}"`;
+  return query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${cursor.id}),${column}.is.null`);
+}
+
+/**
+ * HaloPSA client IDs the user can list tickets for
+ *
+ * @returns {Promise<Array<number>|null>} null for super admins (every client)
+ */
+async function getAllowedClientIds(req) {
+  if (req.isSuperAdmin) {
+    return null;
+  }
+
+  const { data: mappings, error } = await supabase
+    .from('company_halopsa_clients')
+    .select('halopsa_client_id')
+    .eq('company_id', req.activeCompanyId);
+
+  if (error) {
+    throw error;
+  }
+
+  return mappings.map(m => m.halopsa_client_id);
+}
+
+/**
+ * GET /api/tickets
+ * One page of tickets, newest first by default
+ *
+ * Query:
+ *   clientId - limit to one HaloPSA client (other users: one of their company's clients)
+ *   q - full-text search over summary and details (web search syntax, e.g. "printer -toner")
+ *   statusId, teamId, agentId, priorityId, siteId - comma-separated IDs
+ *   state - open or closed
+ *   startDate, endDate - date_occurred range (YYYY-MM-DD, inclusive)
+ *   sort - dateOccurred (default), dateClosed, lastActionDate, priority or id
+ *   order - desc (default) or asc
+ *   limit - tickets per page (default 50, max 200)
+ *   cursor - nextCursor from the previous page
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { clientId, q, state, startDate, endDate, cursor } = req.query;
+    const sort = req.query.sort || 'dateOccurred';
+    const order = req.query.order || 'desc';
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+
+    if (!SORT_COLUMNS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` });
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    if (state && !['open', 'closed'].includes(state)) {
+      return res.status(400).json({ error: 'state must be open or closed' });
+    }
+
+    if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+      return res.status(400).json({ error: 'startDate and endDate must be dates (YYYY-MM-DD)' });
+    }
+
+    const sortKey = `${sort}:${order}`;
+    const after = cursor ? decodeCursor(cursor, sortKey) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Company scoping - other users only see their active company's clients
+    if (!req.isSuperAdmin && !req.activeCompanyId) {
+      return res.status(403).json({ error: 'No active company assigned' });
+    }
+
+    let allowedClientIds;
+    try {
+      allowedClientIds = await getAllowedClientIds(req);
+    } catch (clientsError) {
+      logger.error('Error fetching company HaloPSA clients', { error: clientsError });
+      return res.status(500).json({ error: 'Failed to fetch company data' });
+    }
+
+    let clientIds = allowedClientIds;
+
+    if (clientId) {
+      const id = parseInt(clientId);
+
+      if (isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid client ID' });
+      }
+
+      if (allowedClientIds && !allowedClientIds.includes(id)) {
+        return res.status(403).json({ error: 'Access denied to this client' });
+      }
+
+      clientIds = [id];
+    }
+
+    const column = SORT_COLUMNS[sort];
+    const ascending = order === 'asc';
+
+    let query = supabase
+      .from('tickets')
+      .select(TICKET_COLUMNS)
+      .is('removal_status', null)
+      .order(column, { ascending, nullsFirst: false });
+
+    if (column !== 'id') {
+      query = query.order('id', { ascending });
+    }
+
+    if (clientIds) {
+      query = query.in('client_id', clientIds);
+    }
+
+    for (const [param, filterColumn] of Object.entries(ID_FILTERS)) {
+      if (!req.query[param]) continue;
+
+      const ids = parseIdList(req.query[param]);
+      if (!ids) {
+        return res.status(400).json({ error: `${param} must be a comma-separated list of IDs` });
+      }
+
+      query = query.in(filterColumn, ids);
+    }
+
+    if (state) {
+      query = query.eq('is_closed', state === 'closed');
+    }
+
+    if (startDate) {
+      query = query.gte('date_occurred', startDate);
+    }
+
+    if (endDate) {
+      query = query.lte('date_occurred', `${endDate}T23:59:59.999`);
+    }
+
+    if (q && q.trim()) {
+      query = query.textSearch('search_vector', q.trim(), { type: 'websearch', config: 'english' });
+    }
+
+    if (after) {
+      query = applyCursor(query, column, ascending, after);
+    }
+
+    // One extra row tells us whether there is another page
+    const { data: rows, error } = await query.limit(limit + 1);
+
+    if (error) {
+      logger.error('Error fetching tickets', { error });
+      return res.status(500).json({ error: 'Failed to fetch tickets' });
+    }
+
+    const tickets = rows.slice(0, limit);
+    const agentIds = [...new Set(tickets.map(t => t.agent_id).filter(Boolean))];
+
+    const [lookups, { data: agents, error: agentsError }] = await Promise.all([
+      loadTicketLookups(supabase),
+      agentIds.length > 0
+        ? supabase.from('agents').select('id, name').in('id', agentIds)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    if (agentsError) {
+      logger.error('Error fetching agents', { error: agentsError });
+      return res.status(500).json({ error: 'Failed to fetch tickets' });
+    }
+
+    const agentNames = new Map(agents.map(a => [a.id, a.name]));
+
+    res.json({
+      tickets: tickets.map(t => ({
+        id: t.id,
+        haloId: toHaloId(t.id),
+        clientId: t.client_id,
+        clientName: t.client_name,
+        siteId: t.site_id,
+        siteName: t.site_name,
+        userName: t.user_name,
+        summary: t.summary,
+        statusId: t.status_id,
+        status: t.status_name,
+        statusCategory: t.status_category,
+        priorityId: t.priority_id,
+        priority: t.priority_id === null ? null : lookups.priorities.get(t.priority_id) || `Priority ${t.priority_id}`,
+        type: t.tickettype_id === null ? null : lookups.types.get(t.tickettype_id) || `Type ${t.tickettype_id}`,
+        teamId: t.team_id,
+        team: t.team,
+        agentId: t.agent_id,
+        agent: t.agent_id ? agentNames.get(t.agent_id) || `Agent ${t.agent_id}` : null,
+        isClosed: t.is_closed,
+        dateOccurred: t.date_occurred,
+        dateClosed: t.date_closed,
+        lastActionDate: t.last_action_date
+      })),
+      nextCursor: rows.length > limit ? encodeCursor(sortKey, tickets[tickets.length - 1]) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching tickets', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+/**
+ * GET /api/tickets/filters
+ * Options for the ticket list filters: statuses, priorities, teams and agents ([{ id, name }])
+ */
+router.get('/filters', async (req, res) => {
+  try {
+    const [statuses, priorities, teams, agents] = await Promise.all([
+      supabase.from('ticket_statuses').select('id, name').order('name'),
+      supabase.from('ticket_priorities').select('id, name').order('id'),
+      supabase.from('teams').select('id, name').order('name'),
+      supabase.from('agents').select('id, name').eq('inactive', false).order('name')
+    ]);
+
+    const failed = [statuses, priorities, teams, agents].find(result => result.error);
+
+    if (failed) {
+      logger.error('Error fetching ticket filter options', { error: failed.error });
+      return res.status(500).json({ error: 'Failed to fetch filter options' });
+    }
+
+    res.json({
+      statuses: statuses.data,
+      priorities: priorities.data,
+      teams: teams.data,
+      agents: agents.data
+    });
+  } catch (error) {
+    logger.error('Error fetching ticket filter options', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch filter options' });
+  }
+});
+
+/**
+ * GET /api/tickets/:ticketId
+ * One ticket with its feedback and a timeline of its synced actions (oldest first)
+ * Other users only see tickets of their active company's clients.
+ */
+router.get('/:ticketId', async (req, res, next) => {
+  // Leave other /api/tickets/... routes (e.g. /stats) to the server
+  if (!/^\d+$/.test(req.params.ticketId)) {
+    return next();
+  }
+
+  try {
+    const ticketId = Number(req.params.ticketId);
+
+    if (!req.isSuperAdmin && !req.activeCompanyId) {
+      return res.status(403).json({ error: 'No active company assigned' });
+    }
+
+    const { data: ticket, error } = await supabase
+      .from('tickets')
+      .select(`${TICKET_COLUMNS}, user_id, details, response_date`)
+      .eq('id', ticketId)
+      .is('removal_status', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching ticket', { ticketId, error });
+      return res.status(500).json({ error: 'Failed to fetch ticket' });
+    }
+
+    let allowedClientIds;
+    try {
+      allowedClientIds = await getAllowedClientIds(req);
+    } catch (clientsError) {
+      logger.error('Error fetching company HaloPSA clients', { error: clientsError });
+      return res.status(500).json({ error: 'Failed to fetch company data' });
+    }
+
+    // Tickets of other companies are reported as missing, so IDs can't be probed
+    if (!ticket || (allowedClientIds && !allowedClientIds.includes(ticket.client_id))) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const [lookups, agentResult, teamResult, feedbackResult, actionsResult] = await Promise.all([
+      loadTicketLookups(supabase),
+      ticket.agent_id
+        ? supabase.from('agents').select('name').eq('id', ticket.agent_id).maybeSingle()
+        : Promise.resolve({ data: null, error: null }),
+      ticket.team_id
+        ? supabase.from('teams').select('name').eq('id', ticket.team_id).maybeSingle()
+        : Promise.resolve({ data: null, error: null }),
+      supabase
+        .from('feedback')
+        .select('id, score, score_band, date, comment')
+        .eq('ticket_id', ticketId)
+        .order('date', { ascending: true }),
+      supabase
+        .from('ticket_actions')
+        .select('id, agent_id, agent_name, action_date, outcome, note, minutes, billable_minutes')
+        .eq('ticket_id', ticketId)
+        .order('action_date', { ascending: true })
+        .order('id', { ascending: true })
+    ]);
+
+    const failed = [agentResult, teamResult, feedbackResult, actionsResult].find(result => result.error);
+
+    if (failed) {
+      logger.error('Error fetching ticket details', { ticketId, error: failed.error });
+      return res.status(500).json({ error: 'Failed to fetch ticket' });
+    }
+
+    const actions = actionsResult.data;
+    const totalMinutes = actions.reduce((sum, a) => sum + Number(a.minutes || 0), 0);
+    const billableMinutes = actions.reduce((sum, a) => sum + Number(a.billable_minutes || 0), 0);
+    const toHours = minutes => Math.round(minutes / 60 * 100) / 100;
+
+    res.json({
+      id: ticket.id,
+      haloId: toHaloId(ticket.id),
+      summary: ticket.summary,
+      details: ticket.details,
+      clientId: ticket.client_id,
+      clientName: ticket.client_name,
+      siteId: ticket.site_id,
+      siteName: ticket.site_name,
+      userId: ticket.user_id,
+      userName: ticket.user_name,
+      statusId: ticket.status_id,
+      status: ticket.status_name,
+      statusCategory: ticket.status_category,
+      priorityId: ticket.priority_id,
+      priority: ticket.priority_id === null ? null : lookups.priorities.get(ticket.priority_id) || `Priority ${ticket.priority_id}`,
+      type: ticket.tickettype_id === null ? null : lookups.types.get(ticket.tickettype_id) || `Type ${ticket.tickettype_id}`,
+      teamId: ticket.team_id,
+      team: teamResult.data?.name || ticket.team,
+      agentId: ticket.agent_id,
+      agent: ticket.agent_id ? agentResult.data?.name || `Agent ${ticket.agent_id}` : null,
+      isClosed: ticket.is_closed,
+      dateOccurred: ticket.date_occurred,
+      responseDate: ticket.response_date,
+      dateClosed: ticket.date_closed,
+      lastActionDate: ticket.last_action_date,
+      hours: {
+        totalHours: toHours(totalMinutes),
+        billableHours: toHours(billableMinutes),
+        nonBillableHours: toHours(totalMinutes - billableMinutes)
+      },
+      feedback: feedbackResult.data.map(f => ({
+        id: f.id,
+        score: f.score,
+        scoreBand: f.score_band,
+        date: f.date,
+        comment: f.comment
+      })),
+      actions: actions.map(a => ({
+        id: a.id,
+        date: a.action_date,
+        agentId: a.agent_id,
+        agent: a.agent_name,
+        outcome: a.outcome,
+        note: a.note,
+        minutes: Number(a.minutes || 0),
+        billableMinutes: Number(a.billable_minutes || 0)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching ticket', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch ticket' });
+  }
+});
+
+module.exports = router;
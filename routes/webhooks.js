@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const logger = require('../logger');
+const { syncWebhookTicket, getSource } = require('../sync-service');
+
+// HaloPSA can send bursts of events (e.g. bulk updates), so webhooks get a higher
+// limit than the general API limiter
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 600,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Webhook rate limit exceeded', { ip: req.ip, path: req.path });
+    res.status(429).json({ error: 'Too many requests, please try again later.' });
+  }
+});
+
+// Ticket payloads include the full ticket details, which can exceed the default body limit
+router.use(webhookLimiter, express.json({ limit: '1mb' }));
+
+/**
+ * Compare two secrets in constant time
+ */
+function secretsMatch(provided, expected) {
+  const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+  const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+/**
+ * Read the shared secret from an X-Webhook-Secret header, or from the password of
+ * HTTP Basic authentication (HaloPSA's built-in webhook authentication option)
+ */
+function getProvidedSecret(req) {
+  const headerSecret = req.get('x-webhook-secret');
+  if (headerSecret) return headerSecret;
+
+  const authHeader = req.get('authorization') || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    return decoded.substring(decoded.indexOf(':') + 1);
+  }
+
+  return null;
+}
+
+// Middleware to resolve the sending HaloPSA source (?source=, default the primary source)
+// and verify its webhook shared secret - HALO_<NAME>_WEBHOOK_SECRET, or HALO_WEBHOOK_SECRET
+// for sources without their own
+async function requireWebhookSecret(req, res, next) {
+  let source;
+
+  try {
+    source = await getSource(req.query.source || undefined);
+  } catch (error) {
+    if (error.code === 'UNKNOWN_SOURCE') {
+      return res.status(404).json({ error: 'Unknown HaloPSA source' });
+    }
+    logger.error('Error loading HaloPSA sources for webhook', { error: error.message });
+    return res.status(500).json({ error: 'Failed to process webhook' });
+  }
+
+  const expected = source.webhookSecret || process.env.HALO_WEBHOOK_SECRET;
+
+  if (!expected) {
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
+
+  const provided = getProvidedSecret(req);
+
+  if (!provided || !secretsMatch(provided, expected)) {
+    logger.warn('Rejected HaloPSA webhook with invalid secret', { ip: req.ip, path: req.path, source: source.name });
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  req.haloSource = source;
+  next();
+}
+
+/**
+ * POST /api/webhooks/halopsa/tickets
+ * Receive a HaloPSA ticket created/updated event and upsert the ticket
+ * Webhooks from sources other than the primary one add ?source=<name>
+ *
+ * Body: the HaloPSA ticket object (or { ticket: {...} })
+ */
+router.post('/halopsa/tickets', requireWebhookSecret, async (req, res) => {
+  const ticket = req.body?.ticket || req.body;
+
+  if (!ticket || !Number.isInteger(ticket.id) || !ticket.client_id || !ticket.dateoccurred) {
+    logger.warn('Invalid HaloPSA ticket webhook payload', { ticketId: ticket?.id });
+    return res.status(400).json({ error: 'Payload must be a ticket with id, client_id and dateoccurred' });
+  }
+
+  try {
+    const result = await syncWebhookTicket(req.haloSource, ticket);
+
+    logger.info('HaloPSA ticket webhook processed', { source: req.haloSource.name, ...result });
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    // A 5xx response lets HaloPSA retry the delivery
+    logger.error('Error processing HaloPSA ticket webhook', { source: req.haloSource.name, ticketId: ticket.id, error: error.message });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
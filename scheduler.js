@@ -0,0 +1,580 @@
+// In-process job scheduler
+// Jobs (HaloPSA sync, cache warm-ups, report deliveries) are stored in scheduled_jobs with a
+// cron expression and run by the web server. Each run is recorded in scheduled_job_runs with its log.
+
+const axios = require('axios');
+const { supabase } = require('./middleware/company-context');
+const logger = require('./logger');
+const { performFullSync, forEachSource } = require('./sync-service');
+const { getSourceConfigs } = require('./halo-sources');
+const ninjaOneClient = require('./ninjaone-client');
+const twentyiClient = require('./twentyi-client');
+const { getPeriodStats } = require('./ticket-metrics');
+
+// How often the scheduler looks for due jobs
+const SCHEDULER_POLL_MS = 30 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ */
+function parseCronField(part, field) {
+  const values = new Set();
+
+  part.split(',').forEach(item => {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${item}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      // "5/15" means every 15 from 5
+      start = Number(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) ||
+        start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} "${item}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression: minute hour day-of-month month day-of-week
+ * Supports *, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10). Sunday is 0 or 7.
+ *
+ * @param {string} expression
+ * @returns {Object} Sets of matching values per field
+ * @throws {Error} If the expression is invalid
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays: new Set([...weekdays].map(day => day % 7)),
+    // As in cron, a day matches either day field unless one of them is unrestricted
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Next time after `after` matching a cron expression, in UTC to the minute
+ *
+ * @param {string} expression
+ * @param {Date} after
+ * @returns {Date|null} null if the expression never matches (e.g. 30 February)
+ * @throws {Error} If the expression is invalid
+ */
+function getNextRunTime(expression, after = new Date()) {
+  const cron = parseCronExpression(expression);
+
+  const dayMatches = date => {
+    const dayOfMonth = cron.days.has(date.getUTCDate());
+    const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+
+    if (cron.anyDay) return dayOfWeek;
+    if (cron.anyWeekday) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+  };
+
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Every satisfiable expression matches within 5 years (29 February included)
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run the HaloPSA sync of one source, or of every configured source in turn
+ * config: { monthsBack = 12, mode = 'incremental' | 'full', source = all sources }
+ */
+async function runSyncJob(config, { log }) {
+  const monthsBack = config.monthsBack || 12;
+  const mode = config.mode || 'incremental';
+
+  log(`Starting ${mode} HaloPSA sync of ${config.source || 'all sources'} (last ${monthsBack} months)`);
+
+  const runSync = haloSource => performFullSync(monthsBack, { mode, source: 'scheduler', haloSource });
+
+  const outcomes = config.source
+    ? await runSync(config.source).then(result => [{ source: config.source, result }], error => [{ source: config.source, error }])
+    : await forEachSource(runSync);
+
+  let failed = 0;
+  let skipped = 0;
+
+  outcomes.forEach(({ source, result, error }) => {
+    if (error && error.code === 'SYNC_LOCKED') {
+      // Not a failure - e.g. a sync started from the dashboard is still running
+      log(`${source}: skipped - ${error.message}`);
+      skipped++;
+    } else if (error) {
+      log(`${source}: failed - ${error.message}`);
+      failed++;
+    } else {
+      log(`${source}: sync run ${result.runId} finished`);
+      log(`Clients: ${result.clientCount}, tickets: ${result.ticketCount} (${result.ticketSyncMode}, ${result.ticketsChanged} changed, ${result.ticketsRemoved} deleted/merged)`);
+      log(`Actions: ${result.actionCount}, feedback: ${result.feedbackCount} (${result.feedbackLinked} linked, ${result.feedbackQueued} queued)`);
+      log(`Data quality issues: ${result.dataQualityIssues === null ? 'check failed' : result.dataQualityIssues}`);
+    }
+  });
+
+  const first = outcomes[0] || {};
+  const syncRunId = first.result ? first.result.runId : first.error?.runningRunId;
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${outcomes.length} HaloPSA sources failed to sync`);
+  }
+
+  return skipped === outcomes.length ? { status: 'skipped', syncRunId } : { syncRunId };
+}
+
+// Caches a warm-up job can refresh
+const CACHE_TARGETS = {
+  servers: () => ninjaOneClient.getServers(),
+  workstations: () => ninjaOneClient.getWorkstations(),
+  domains: () => twentyiClient.getDomains()
+};
+
+/**
+ * Load the NinjaOne device and 20i domain lists so the caches are filled before users
+ * open those pages
+ * config: { targets = ['servers', 'workstations', 'domains'] }
+ */
+async function runCacheWarmupJob(config, { log }) {
+  const targets = config.targets || Object.keys(CACHE_TARGETS);
+  let failed = 0;
+
+  for (const target of targets) {
+    const startTime = Date.now();
+
+    try {
+      const data = await CACHE_TARGETS[target]();
+      const size = Array.isArray(data) ? `${data.length} items` : 'loaded';
+      log(`${target}: ${size} in ${Date.now() - startTime} ms`);
+    } catch (error) {
+      failed++;
+      log(`${target}: failed - ${error.message}`);
+    }
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${targets.length} caches could not be warmed`);
+  }
+}
+
+/**
+ * POST last month's ticket report for a company's HaloPSA clients to a webhook
+ * (e.g. a Teams, Slack or Power Automate workflow)
+ * config: { companyId, webhookUrl }
+ */
+async function runReportDeliveryJob(config, { log }) {
+  const { data: company, error: companyError } = await supabase
+    .from('companies')
+    .select('id, name')
+    .eq('id', config.companyId)
+    .maybeSingle();
+
+  if (companyError) throw companyError;
+  if (!company) throw new Error(`Company ${config.companyId} not found`);
+
+  const { data: mappings, error: mappingsError } = await supabase
+    .from('company_halopsa_clients')
+    .select('halopsa_client_id, clients(name)')
+    .eq('company_id', company.id);
+
+  if (mappingsError) throw mappingsError;
+
+  // Previous calendar month
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+  const startDate = monthStart.toISOString().split('T')[0];
+  const endDate = monthEnd.toISOString().split('T')[0];
+  const label = monthStart.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  log(`Building ${label} report for ${company.name} (${mappings.length} HaloPSA clients)`);
+
+  const clients = [];
+
+  // Aggregated in the database so busy clients aren't cut at the Supabase row limit
+  for (const mapping of mappings) {
+    const clientId = mapping.halopsa_client_id;
+    const [period] = await getPeriodStats(supabase, { clientIds: [clientId], startDate, endDate, bucket: 'month' });
+
+    clients.push({
+      clientId,
+      clientName: mapping.clients?.name || `Client ${clientId}`,
+      totalTickets: period.totalTickets,
+      closedTickets: period.closedTickets,
+      openTickets: period.openTickets,
+      statusCategories: period.statusCategories,
+      totalHours: period.totalHours,
+      billableHours: period.billableHours,
+      nonBillableHours: period.nonBillableHours,
+      sla: period.sla
+    });
+  }
+
+  await axios.post(config.webhookUrl, {
+    company: { id: company.id, name: company.name },
+    period: { label, startDate, endDate },
+    generatedAt: new Date().toISOString(),
+    clients
+  }, { timeout: 30000 });
+
+  log(`Delivered report to ${new URL(config.webhookUrl).host}`);
+}
+
+// Job types that can be scheduled
+// validate(config) returns an error message, or null if the config is usable
+const JOB_TYPES = {
+  halopsa_sync: {
+    label: 'HaloPSA sync',
+    run: runSyncJob,
+    validate: config => {
+      if (config.monthsBack !== undefined && (!Number.isInteger(config.monthsBack) || config.monthsBack < 1)) {
+        return 'monthsBack must be a positive whole number';
+      }
+      if (config.mode !== undefined && !['incremental', 'full'].includes(config.mode)) {
+        return "mode must be 'incremental' or 'full'";
+      }
+      if (config.source !== undefined && !getSourceConfigs().some(source => source.name === config.source)) {
+        return `source must be one of: ${getSourceConfigs().map(source => source.name).join(', ')}`;
+      }
+      return null;
+    }
+  },
+  cache_warmup: {
+    label: 'Cache warm-up',
+    run: runCacheWarmupJob,
+    validate: config => {
+      if (config.targets !== undefined &&
+          (!Array.isArray(config.targets) || config.targets.some(target => !CACHE_TARGETS[target]))) {
+        return `targets must be a list of: ${Object.keys(CACHE_TARGETS).join(', ')}`;
+      }
+      return null;
+    }
+  },
+  report_delivery: {
+    label: 'Report delivery',
+    run: runReportDeliveryJob,
+    validate: config => {
+      if (!config.companyId) {
+        return 'companyId is required';
+      }
+      if (!/^https?:\/\//.test(config.webhookUrl || '')) {
+        return 'webhookUrl must be an http(s) URL';
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * Check a job's type and config
+ *
+ * @returns {string|null} Error message, or null if the job can be scheduled
+ */
+function validateJobConfig(jobType, config) {
+  if (!JOB_TYPES[jobType]) {
+    return `job type must be one of: ${Object.keys(JOB_TYPES).join(', ')}`;
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'config must be an object';
+  }
+
+  return JOB_TYPES[jobType].validate(config);
+}
+
+// Jobs running in this process - a job never overlaps with itself
+const runningJobIds = new Set();
+// scheduled_job_runs rows in progress in this process (marked interrupted on shutdown)
+const activeJobRunIds = new Set();
+
+/**
+ * Start a run of a job and record it in scheduled_job_runs
+ * Lines the job logs are stored with the run when it finishes.
+ *
+ * @param {Object} job - scheduled_jobs row
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy: user ID }
+ * @returns {Promise<{ runId: number, finished: Promise<void> }>}
+ * @throws {Error} With code JOB_RUNNING if the job is already running
+ */
+async function startJobRun(job, { trigger = 'schedule', triggeredBy = null } = {}) {
+  if (runningJobIds.has(job.id)) {
+    const runningError = new Error(`Job "${job.name}" is already running`);
+    runningError.code = 'JOB_RUNNING';
+    throw runningError;
+  }
+
+  runningJobIds.add(job.id);
+
+  const { data: run, error } = await supabase
+    .from('scheduled_job_runs')
+    .insert({
+      job_id: job.id,
+      trigger,
+      triggered_by: triggeredBy,
+      status: 'running'
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    runningJobIds.delete(job.id);
+    throw error;
+  }
+
+  activeJobRunIds.add(run.id);
+
+  const lines = [];
+  const log = message => {
+    lines.push(`[${new Date().toISOString()}] ${message}`);
+    console.log(`[job ${job.name}] ${message}`);
+  };
+
+  const finished = (async () => {
+    let status = 'success';
+    let errorMessage = null;
+    let syncRunId = null;
+
+    try {
+      const jobType = JOB_TYPES[job.job_type];
+
+      if (!jobType) {
+        throw new Error(`Unknown job type "${job.job_type}"`);
+      }
+
+      const outcome = await jobType.run(job.config || {}, { log }) || {};
+      status = outcome.status || 'success';
+      syncRunId = outcome.syncRunId || null;
+    } catch (jobError) {
+      status = 'failed';
+      errorMessage = jobError.message;
+      log(`Failed: ${jobError.message}`);
+      logger.error('Scheduled job failed', { jobId: job.id, jobName: job.name, error: jobError.message });
+    }
+
+    const finishedAt = new Date().toISOString();
+
+    const { error: runError } = await supabase
+      .from('scheduled_job_runs')
+      .update({
+        status,
+        log: lines.join('\n'),
+        error_message: errorMessage,
+        sync_run_id: syncRunId,
+        finished_at: finishedAt
+      })
+      .eq('id', run.id);
+
+    if (runError) {
+      logger.error('Could not record scheduled job run', { runId: run.id, error: runError.message });
+    }
+
+    const { error: jobUpdateError } = await supabase
+      .from('scheduled_jobs')
+      .update({ last_run_at: finishedAt, last_status: status })
+      .eq('id', job.id);
+
+    if (jobUpdateError) {
+      logger.error('Could not record scheduled job status', { jobId: job.id, error: jobUpdateError.message });
+    }
+
+    activeJobRunIds.delete(run.id);
+    runningJobIds.delete(job.id);
+  })();
+
+  return { runId: run.id, finished };
+}
+
+/**
+ * Give enabled jobs without a next run time one (e.g. the jobs added by the migration)
+ */
+async function scheduleUnscheduledJobs() {
+  const { data: jobs, error } = await supabase
+    .from('scheduled_jobs')
+    .select('id, name, cron_expression')
+    .eq('enabled', true)
+    .is('next_run_at', null);
+
+  if (error) {
+    logger.error('Could not load scheduled jobs', { error: error.message });
+    return;
+  }
+
+  for (const job of jobs) {
+    try {
+      const nextRunAt = getNextRunTime(job.cron_expression);
+
+      await supabase
+        .from('scheduled_jobs')
+        .update({ next_run_at: nextRunAt ? nextRunAt.toISOString() : null })
+        .eq('id', job.id);
+    } catch (cronError) {
+      logger.error('Scheduled job has an invalid cron expression', { jobId: job.id, jobName: job.name, error: cronError.message });
+    }
+  }
+}
+
+/**
+ * Start every enabled job whose next run time has passed
+ * A job is claimed by moving next_run_at on only if it still holds the value read here,
+ * so with several app instances each due run starts once. Runs missed while the app was
+ * down start on the first check after it comes back.
+ */
+async function runDueJobs() {
+  const now = new Date();
+
+  const { data: jobs, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', now.toISOString());
+
+  if (error) {
+    logger.error('Could not load due scheduled jobs', { error: error.message });
+    return;
+  }
+
+  for (const job of jobs) {
+    let nextRunAt = null;
+
+    try {
+      nextRunAt = getNextRunTime(job.cron_expression, now);
+    } catch (cronError) {
+      logger.error('Scheduled job has an invalid cron expression', { jobId: job.id, jobName: job.name, error: cronError.message });
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('scheduled_jobs')
+      .update({ next_run_at: nextRunAt ? nextRunAt.toISOString() : null })
+      .eq('id', job.id)
+      .eq('next_run_at', job.next_run_at)
+      .select('id');
+
+    if (claimError || claimed.length === 0) continue;
+
+    if (runningJobIds.has(job.id)) {
+      logger.warn('Scheduled job is still running, skipping this run', { jobId: job.id, jobName: job.name });
+      continue;
+    }
+
+    startJobRun(job, { trigger: 'schedule' }).catch(runError => {
+      logger.error('Could not start scheduled job', { jobId: job.id, jobName: job.name, error: runError.message });
+    });
+  }
+}
+
+let pollTimer = null;
+
+/**
+ * Start checking for due jobs
+ */
+function startScheduler() {
+  if (pollTimer) return;
+
+  const check = () => scheduleUnscheduledJobs()
+    .then(runDueJobs)
+    .catch(error => logger.error('Scheduler check failed', { error: error.message }));
+
+  pollTimer = setInterval(check, SCHEDULER_POLL_MS);
+  check();
+
+  logger.info('Job scheduler started', { pollSeconds: SCHEDULER_POLL_MS / 1000 });
+}
+
+/**
+ * Stop checking for due jobs (runs already started carry on)
+ */
+function stopScheduler() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Mark job runs still executing in this process as interrupted (used on shutdown)
+ */
+async function markInterruptedJobRuns() {
+  if (activeJobRunIds.size === 0) return;
+
+  const { error } = await supabase
+    .from('scheduled_job_runs')
+    .update({
+      status: 'interrupted',
+      error_message: 'Process shut down while job was running',
+      finished_at: new Date().toISOString()
+    })
+    .in('id', [...activeJobRunIds])
+    .eq('status', 'running');
+
+  if (error) {
+    logger.error('Could not mark interrupted job runs', { error: error.message });
+  }
+}
+
+module.exports = {
+  JOB_TYPES,
+  getNextRunTime,
+  validateJobConfig,
+  startJobRun,
+  startScheduler,
+  stopScheduler,
+  markInterruptedJobRuns
+};
@@ -7,17 +7,26 @@ const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const { createClient } = require('@supabase/supabase-js');
-const { performFullSync } = require('./sync-service');
+const crypto = require('crypto');
+const { performFullSync, acquireSyncLock, createSyncRun, markInterruptedRuns, getSources, getSource, getSyncLockName } = require('./sync-service');
+const { startScheduler, stopScheduler, markInterruptedJobRuns } = require('./scheduler');
 const logger = require('./logger');
+const { loadSlaTargets, calculateSlaStats, countStatusCategories, getClientHours, getPeriodStats, getPeriodStatsWithComparison, compareMetrics, getBacklogSeries, fetchAllRows, BUCKET_SIZES } = require('./ticket-metrics');
 const ninjaOneClient = require('./ninjaone-client');
 const twentyiClient = require('./twentyi-client');
 const { injectCompanyContext } = require('./middleware/company-context');
 const adminUsersRouter = require('./routes/admin-users');
 const adminCompaniesRouter = require('./routes/admin-companies');
+const adminStatusesRouter = require('./routes/admin-statuses');
+const adminDataQualityRouter = require('./routes/admin-data-quality');
+const adminJobsRouter = require('./routes/admin-jobs');
 const userProfileRouter = require('./routes/user-profile');
 const stackUsersRouter = require('./routes/stack-users');
 const domainAssignmentsRouter = require('./routes/domain-assignments');
 const domainsRouter = require('./routes/domains');
+const reportsRouter = require('./routes/reports');
+const ticketsRouter = require('./routes/tickets');
+const webhooksRouter = require('./routes/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3100;
@@ -90,7 +99,8 @@ const apiLimiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   skip: (req) => {
     // Skip rate limiting for /api/config - it's called on every page load
-    return req.path === '/api/config';
+    // Webhooks have their own, higher limit (see routes/webhooks.js)
+    return req.path === '/api/config' || req.originalUrl.startsWith('/api/webhooks/');
   },
   handler: (req, res) => {
     logger.warn('Rate limit exceeded', {
@@ -107,6 +117,10 @@ const apiLimiter = rateLimit({
 // Apply rate limiting to all API routes
 app.use('/api/', apiLimiter);
 
+// HaloPSA webhooks authenticate with a shared secret rather than a user session,
+// and parse their own (larger) request bodies, so they are mounted before express.json()
+app.use('/api/webhooks', webhooksRouter);
+
 app.use(express.json());
 
 // Supabase Configuration
@@ -168,6 +182,14 @@ async function requireAuth(req, res, next) {
   }
 }
 
+// Middleware to verify super admin access (requires injectCompanyContext first)
+function requireSuperAdmin(req, res, next) {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+}
+
 // Serve Supabase config to frontend (public endpoint)
 // IMPORTANT: This sends the ANON key to the frontend, not the service role key
 app.get('/api/config', (req, res) => {
@@ -194,10 +216,14 @@ app.use(express.static('public'));
 // Multi-tenant routes (require authentication and company context)
 app.use('/api/admin/users', requireAuth, injectCompanyContext, adminUsersRouter);
 app.use('/api/admin/companies', requireAuth, injectCompanyContext, adminCompaniesRouter);
+app.use('/api/admin/statuses', requireAuth, injectCompanyContext, adminStatusesRouter);
+app.use('/api/admin/data-quality', requireAuth, injectCompanyContext, adminDataQualityRouter);
+app.use('/api/admin/jobs', requireAuth, injectCompanyContext, adminJobsRouter);
 app.use('/api/admin/domain-assignments', requireAuth, injectCompanyContext, domainAssignmentsRouter);
 app.use('/api/profile', requireAuth, userProfileRouter);
 app.use('/api/stack-users', requireAuth, stackUsersRouter);
 app.use('/api/domains', requireAuth, injectCompanyContext, domainsRouter);
+app.use('/api/reports', requireAuth, injectCompanyContext, reportsRouter);
 
 // Get all active clients (clients with tickets in the last 12 months)
 app.get('/api/clients', requireAuth, injectCompanyContext, async (req, res) => {
@@ -285,6 +311,7 @@ app.get('/api/tickets/stats', requireAuth, injectCompanyContext, async (req, res
     const { data: tickets, error } = await supabase
       .from('tickets')
       .select('*')
+      .is('removal_status', null)
       .eq('client_id', clientId)
       .gte('date_occurred', startDate)
       .lte('date_occurred', endDate);
@@ -297,10 +324,20 @@ app.get('/api/tickets/stats', requireAuth, injectCompanyContext, async (req, res
     const totalTickets = tickets.length;
     const closedTickets = tickets.filter(ticket => ticket.is_closed).length;
 
+    let hours;
+    try {
+      hours = await getClientHours(supabase, clientId, startDate, endDate);
+    } catch (hoursError) {
+      console.error('Error fetching ticket hours:', hoursError);
+      return res.status(500).json({ error: 'Failed to fetch ticket statistics' });
+    }
+
     res.json({
       totalTickets,
       closedTickets,
       openTickets: totalTickets - closedTickets,
+      statusCategories: countStatusCategories(tickets),
+      hours,
       tickets: tickets.map(t => ({
         id: t.id,
         summary: t.summary,
@@ -315,13 +352,38 @@ app.get('/api/tickets/stats', requireAuth, injectCompanyContext, async (req, res
   }
 });
 
-// Get monthly statistics for multiple months
+// Get ticket statistics per week, month or quarter (body.bucket) of a date range, in body.timeZone
+// With body.compare, each period is also compared to the previous period and the same period a year earlier
 app.post('/api/tickets/monthly-stats', requireAuth, injectCompanyContext, async (req, res) => {
   try {
-    const { clientId, months } = req.body;
+    const { clientId, months, bucket = 'month', timeZone = 'UTC', compare = false } = req.body;
+    let { startDate, endDate } = req.body;
+
+    // Older clients send the months to report on - use the range they cover
+    if (!startDate && Array.isArray(months) && months.length > 0) {
+      startDate = months[0].startDate;
+      endDate = months[months.length - 1].endDate;
+    }
 
-    if (!clientId || !months || !Array.isArray(months)) {
-      return res.status(400).json({ error: 'clientId and months array are required' });
+    if (!clientId || !startDate || !endDate) {
+      return res.status(400).json({ error: 'clientId, startDate and endDate are required' });
+    }
+
+    startDate = String(startDate).slice(0, 10);
+    endDate = String(endDate).slice(0, 10);
+
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate)) || startDate > endDate) {
+      return res.status(400).json({ error: 'startDate and endDate must be dates (YYYY-MM-DD) with startDate first' });
+    }
+
+    if (!BUCKET_SIZES.includes(bucket)) {
+      return res.status(400).json({ error: `bucket must be one of: ${BUCKET_SIZES.join(', ')}` });
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (timeZoneError) {
+      return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
     }
 
     // Verify user has access to this client
@@ -348,53 +410,77 @@ app.post('/api/tickets/monthly-stats', requireAuth, injectCompanyContext, async
       }
     }
 
-    const results = [];
-
-    for (const month of months) {
-      const { startDate, endDate } = month;
-
-      const { data: tickets, error } = await supabase
-        .from('tickets')
-        .select('*')
-        .eq('client_id', clientId)
-        .gte('date_occurred', startDate)
-        .lte('date_occurred', endDate);
-
-      if (error) {
-        console.error('Error fetching monthly stats:', error);
-        return res.status(500).json({ error: 'Failed to fetch monthly statistics' });
-      }
+    const periodOptions = {
+      clientIds: [parseInt(clientId)],
+      startDate,
+      endDate,
+      bucket,
+      timeZone
+    };
 
-      const totalTickets = tickets.length;
-      const closedTickets = tickets.filter(ticket => ticket.is_closed).length;
+    const periods = compare === true
+      ? await getPeriodStatsWithComparison(supabase, periodOptions)
+      : await getPeriodStats(supabase, periodOptions);
 
-      results.push({
-        month: month.label,
-        startDate,
-        endDate,
-        totalTickets,
-        closedTickets,
-        openTickets: totalTickets - closedTickets
-      });
-    }
-
-    res.json(results);
+    res.json(periods.map(({ label, ...stats }) => ({ month: label, ...stats })));
   } catch (error) {
     console.error('Error fetching monthly stats:', error);
     res.status(500).json({ error: 'Failed to fetch monthly statistics' });
   }
 });
 
-// Trigger a data sync
-app.post('/api/sync', requireAuth, async (req, res) => {
+// Ticket list and detail - mounted after the stats routes above so those aren't authenticated twice
+app.use('/api/tickets', requireAuth, injectCompanyContext, ticketsRouter);
+
+// Trigger a data sync of one HaloPSA source (body.source, default the primary source)
+app.post('/api/sync', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
   try {
     const monthsBack = req.body.monthsBack || 12;
+    const mode = req.body.mode || 'incremental';
+    const dryRun = req.body.dryRun === true;
+
+    if (!['incremental', 'full'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'incremental' or 'full'" });
+    }
+
+    let haloSource;
+
+    try {
+      haloSource = await getSource(req.body.source);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_SOURCE') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    console.log(`Starting ${mode} ${dryRun ? 'dry run ' : ''}sync of ${haloSource.name} (window: last ${monthsBack} months)...`);
+
+    // Take the source's sync lock shared with the scheduler and CLI before starting
+    const runId = crypto.randomUUID();
+    const lock = await acquireSyncLock(runId, getSyncLockName(haloSource));
+
+    if (!lock.acquired) {
+      return res.status(409).json({
+        error: `A sync of ${haloSource.name} is already in progress`,
+        runId: lock.holderRunId
+      });
+    }
 
-    console.log(`Starting sync of last ${monthsBack} months...`);
+    // Record the run up front so the caller can poll its progress
+    await createSyncRun({
+      id: runId,
+      triggeredBy: req.user.id,
+      source: 'api',
+      haloSource: haloSource.name,
+      mode,
+      monthsBack,
+      dryRun
+    });
 
     // Run sync in background
-    performFullSync(monthsBack)
-      .then(result => {
+    performFullSync(monthsBack, { mode, dryRun, runId, haloSource: haloSource.name })
+      .then(({ report, ...result }) => {
         console.log('Sync completed:', result);
       })
       .catch(error => {
@@ -403,7 +489,11 @@ app.post('/api/sync', requireAuth, async (req, res) => {
 
     res.json({
       message: 'Sync started in background',
-      monthsBack
+      runId,
+      source: haloSource.name,
+      monthsBack,
+      mode,
+      dryRun
     });
   } catch (error) {
     console.error('Error starting sync:', error);
@@ -411,6 +501,23 @@ app.post('/api/sync', requireAuth, async (req, res) => {
   }
 });
 
+// List the configured HaloPSA sources
+app.get('/api/sync/sources', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const sources = await getSources();
+
+    res.json(sources.map(source => ({
+      name: source.name,
+      apiUrl: source.apiUrl,
+      idOffset: source.idOffset,
+      webhookConfigured: !!(source.webhookSecret || process.env.HALO_WEBHOOK_SECRET)
+    })));
+  } catch (error) {
+    console.error('Error fetching HaloPSA sources:', error);
+    res.status(500).json({ error: 'Failed to fetch HaloPSA sources' });
+  }
+});
+
 // Get sync status
 app.get('/api/sync/status', requireAuth, async (req, res) => {
   try {
@@ -432,6 +539,155 @@ app.get('/api/sync/status', requireAuth, async (req, res) => {
   }
 });
 
+// When HaloPSA webhooks were last received, to spot deliveries that have stopped
+app.get('/api/sync/webhooks', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    const recentEventsQuery = () => supabase
+      .from('webhook_deliveries')
+      .select('id', { count: 'exact', head: true })
+      .gte('received_at', since);
+
+    const [lastResult, receivedResult, failedResult] = await Promise.all([
+      supabase
+        .from('webhook_deliveries')
+        .select('received_at, status')
+        .order('received_at', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      recentEventsQuery(),
+      recentEventsQuery().eq('status', 'failed')
+    ]);
+
+    const queryError = lastResult.error || receivedResult.error || failedResult.error;
+
+    if (queryError) {
+      console.error('Error fetching webhook status:', queryError);
+      return res.status(500).json({ error: 'Failed to fetch webhook status' });
+    }
+
+    const lastEvent = lastResult.data;
+    const sources = await getSources();
+
+    res.json({
+      configured: sources.every(source => source.webhookSecret || process.env.HALO_WEBHOOK_SECRET),
+      lastReceivedAt: lastEvent ? lastEvent.received_at : null,
+      lastStatus: lastEvent ? lastEvent.status : null,
+      last24Hours: {
+        received: receivedResult.count || 0,
+        failed: failedResult.count || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook status:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook status' });
+  }
+});
+
+// Get recent sync runs
+app.get('/api/sync/runs', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching sync runs:', error);
+      return res.status(500).json({ error: 'Failed to fetch sync runs' });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching sync runs:', error);
+    res.status(500).json({ error: 'Failed to fetch sync runs' });
+  }
+});
+
+// Get live progress of a single sync run
+app.get('/api/sync/status/:runId', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .select('*')
+      .eq('id', req.params.runId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching sync run:', error);
+      return res.status(500).json({ error: 'Failed to fetch sync run' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching sync run:', error);
+    res.status(500).json({ error: 'Failed to fetch sync run' });
+  }
+});
+
+// Download the diff report of a dry run sync as JSON
+app.get('/api/sync/:runId/report', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sync_reports')
+      .select('report')
+      .eq('run_id', req.params.runId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching sync report:', error);
+      return res.status(500).json({ error: 'Failed to fetch sync report' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'No dry run report for this sync run' });
+    }
+
+    res.attachment(`sync-dry-run-${req.params.runId}.json`);
+    res.json(data.report);
+  } catch (error) {
+    console.error('Error fetching sync report:', error);
+    res.status(500).json({ error: 'Failed to fetch sync report' });
+  }
+});
+
+// Request cancellation of a running sync
+// The sync stops at its next page boundary and is recorded as cancelled
+app.post('/api/sync/:runId/cancel', requireAuth, injectCompanyContext, requireSuperAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+      .eq('id', req.params.runId)
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) {
+      console.error('Error cancelling sync run:', error);
+      return res.status(500).json({ error: 'Failed to cancel sync' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(409).json({ error: 'Sync run is not running' });
+    }
+
+    logger.info('Sync cancellation requested', { runId: req.params.runId, userId: req.user.id });
+
+    res.json({ message: 'Cancellation requested', runId: req.params.runId });
+  } catch (error) {
+    console.error('Error cancelling sync run:', error);
+    res.status(500).json({ error: 'Failed to cancel sync' });
+  }
+});
+
 // Get dashboard statistics
 app.get('/api/dashboard/stats', requireAuth, injectCompanyContext, async (req, res) => {
   try {
@@ -447,6 +703,9 @@ app.get('/api/dashboard/stats', requireAuth, injectCompanyContext, async (req, r
     const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
 
+    // Add previous-period and year-over-year values to each metric
+    const compare = req.query.compare === 'true';
+
     // Determine which HaloPSA clients the user can see
     let allowedClientIds = null; // null = all clients (super admin)
 
@@ -479,57 +738,76 @@ app.get('/api/dashboard/stats', requireAuth, injectCompanyContext, async (req, r
           weekStats: { total: 0, period: '7 days' },
           topClients: [],
           dailyTrend: [],
-          satisfaction: { satisfied: 0, dissatisfied: 0, total: 0, satisfactionRate: 0 }
+          satisfaction: { satisfied: 0, dissatisfied: 0, total: 0, satisfactionRate: 0 },
+          sla: calculateSlaStats([])
         });
       }
     }
 
-    // Build ticket query with optional client filtering
-    let allTicketsQuery = supabase
-      .from('tickets')
-      .select('id, client_id, is_closed, date_occurred');
+    // Fetch every ticket with optional client filtering
+    let allTickets;
 
-    if (allowedClientIds !== null) {
-      allTicketsQuery = allTicketsQuery.in('client_id', allowedClientIds);
-    }
+    try {
+      allTickets = await fetchAllRows(() => {
+        let query = supabase
+          .from('tickets')
+          .select('id, client_id, is_closed, date_occurred, date_closed')
+          .is('removal_status', null)
+          .order('id', { ascending: true });
 
-    const { data: allTickets, error: allError } = await allTicketsQuery;
+        if (allowedClientIds !== null) {
+          query = query.in('client_id', allowedClientIds);
+        }
 
-    if (allError) {
+        return query;
+      });
+    } catch (allError) {
       console.error('Error fetching all tickets:', allError);
       return res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
     }
 
     // Get tickets from last 30 days
-    let recentTicketsQuery = supabase
-      .from('tickets')
-      .select('id, client_id, is_closed, date_occurred')
-      .gte('date_occurred', thirtyDaysAgo.toISOString());
-
-    if (allowedClientIds !== null) {
-      recentTicketsQuery = recentTicketsQuery.in('client_id', allowedClientIds);
-    }
-
-    const { data: recentTickets, error: recentError } = await recentTicketsQuery;
+    let recentTickets;
+
+    try {
+      recentTickets = await fetchAllRows(() => {
+        let query = supabase
+          .from('tickets')
+          .select('id, client_id, priority_id, is_closed, date_occurred, response_date, date_closed')
+          .is('removal_status', null)
+          .gte('date_occurred', thirtyDaysAgo.toISOString())
+          .order('id', { ascending: true });
+
+        if (allowedClientIds !== null) {
+          query = query.in('client_id', allowedClientIds);
+        }
 
-    if (recentError) {
+        return query;
+      });
+    } catch (recentError) {
       console.error('Error fetching recent tickets:', recentError);
       return res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
     }
 
     // Get tickets from last 7 days
-    let weekTicketsQuery = supabase
-      .from('tickets')
-      .select('id, client_id, is_closed, date_occurred')
-      .gte('date_occurred', sevenDaysAgo.toISOString());
-
-    if (allowedClientIds !== null) {
-      weekTicketsQuery = weekTicketsQuery.in('client_id', allowedClientIds);
-    }
-
-    const { data: weekTickets, error: weekError } = await weekTicketsQuery;
+    let weekTickets;
+
+    try {
+      weekTickets = await fetchAllRows(() => {
+        let query = supabase
+          .from('tickets')
+          .select('id, client_id, is_closed, date_occurred')
+          .is('removal_status', null)
+          .gte('date_occurred', sevenDaysAgo.toISOString())
+          .order('id', { ascending: true });
+
+        if (allowedClientIds !== null) {
+          query = query.in('client_id', allowedClientIds);
+        }
 
-    if (weekError) {
+        return query;
+      });
+    } catch (weekError) {
       console.error('Error fetching week tickets:', weekError);
       return res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
     }
@@ -583,100 +861,142 @@ app.get('/api/dashboard/stats', requireAuth, injectCompanyContext, async (req, r
       };
     });
 
-    // Get tickets from last year for trend data
-    let yearTicketsQuery = supabase
-      .from('tickets')
-      .select('id, date_occurred')
-      .gte('date_occurred', oneYearAgo.toISOString());
+    // Get all tickets from last year with date_occurred and date_closed
+    let yearTicketsDetailed = null;
+    let yearDetailedError = null;
+
+    try {
+      yearTicketsDetailed = await fetchAllRows(() => {
+        let query = supabase
+          .from('tickets')
+          .select('id, client_id, priority_id, date_occurred, response_date, date_closed, is_closed')
+          .is('removal_status', null)
+          .gte('date_occurred', oneYearAgo.toISOString())
+          .order('id', { ascending: true });
+
+        if (allowedClientIds !== null) {
+          query = query.in('client_id', allowedClientIds);
+        }
 
-    if (allowedClientIds !== null) {
-      yearTicketsQuery = yearTicketsQuery.in('client_id', allowedClientIds);
+        return query;
+      });
+    } catch (error) {
+      yearDetailedError = error;
+      console.error('Error fetching year tickets detailed:', yearDetailedError);
     }
 
-    const { data: yearTickets, error: yearError } = await yearTicketsQuery;
+    // Daily ticket counts for the 365 days up to endTime
+    const countDailyTickets = (tickets, endTime) => {
+      const counts = [];
+
+      for (let i = 364; i >= 0; i--) {
+        const date = new Date(endTime - i * 24 * 60 * 60 * 1000);
+        const dateStr = date.toISOString().split('T')[0];
+
+        // Tickets opened on this date
+        const openedCount = tickets.filter(t =>
+          t.date_occurred && t.date_occurred.startsWith(dateStr)
+        ).length;
+
+        // Tickets closed on this date
+        const closedCount = tickets.filter(t =>
+          t.date_closed && t.date_closed.startsWith(dateStr)
+        ).length;
+
+        counts.push({
+          date: dateStr,
+          count: openedCount,  // Total = opened tickets
+          opened: openedCount,
+          closed: closedCount
+        });
+      }
 
-    if (yearError) {
-      console.error('Error fetching year tickets:', yearError);
-    }
+      return counts;
+    };
 
-    // Get all tickets from last year with date_occurred and date_closed
-    let yearTicketsDetailedQuery = supabase
-      .from('tickets')
-      .select('id, date_occurred, date_closed, is_closed')
-      .gte('date_occurred', oneYearAgo.toISOString());
+    // Get daily ticket counts for the last 365 days
+    const dailyCounts = countDailyTickets(yearTicketsDetailed || [], now.getTime())
+      .map(day => ({ ...day, backlog: null }));
+
+    // Tickets still open at the end of each day
+    try {
+      const backlogSeries = await getBacklogSeries(supabase, {
+        clientIds: allowedClientIds,
+        startDate: dailyCounts[0].date,
+        endDate: dailyCounts[dailyCounts.length - 1].date
+      });
+      const backlogByDate = new Map(backlogSeries.map(day => [day.date, day.backlog]));
 
-    if (allowedClientIds !== null) {
-      yearTicketsDetailedQuery = yearTicketsDetailedQuery.in('client_id', allowedClientIds);
+      dailyCounts.forEach(day => {
+        day.backlog = backlogByDate.get(day.date) ?? null;
+      });
+    } catch (backlogError) {
+      console.warn('Error fetching ticket backlog:', backlogError.message);
+      // Continue without the backlog series - not critical
     }
 
-    const { data: yearTicketsDetailed, error: yearDetailedError } = await yearTicketsDetailedQuery;
-
-    if (yearDetailedError) {
-      console.error('Error fetching year tickets detailed:', yearDetailedError);
-    }
+    // Get feedback/satisfaction data (skipping feedback on deleted or merged tickets)
+    // Feedback is filtered to tickets that belong to allowed clients
+    let feedbackData = null;
+    let feedbackError = null;
+
+    try {
+      feedbackData = await fetchAllRows(() => {
+        let query = supabase
+          .from('feedback')
+          .select('id, score, date, ticket_id, tickets!inner(client_id, removal_status)')
+          .is('tickets.removal_status', null)
+          .order('id', { ascending: true });
+
+        if (allowedClientIds !== null) {
+          query = query.in('tickets.client_id', allowedClientIds);
+        }
 
-    // Get daily ticket counts for the last 365 days
-    const dailyCounts = [];
-    for (let i = 364; i >= 0; i--) {
-      const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-
-      // Tickets opened on this date
-      const openedCount = (yearTicketsDetailed || []).filter(t =>
-        t.date_occurred && t.date_occurred.startsWith(dateStr)
-      ).length;
-
-      // Tickets closed on this date
-      const closedCount = (yearTicketsDetailed || []).filter(t =>
-        t.date_closed && t.date_closed.startsWith(dateStr)
-      ).length;
-
-      dailyCounts.push({
-        date: dateStr,
-        count: openedCount,  // Total = opened tickets
-        opened: openedCount,
-        closed: closedCount
+        return query;
       });
+    } catch (error) {
+      feedbackError = error;
     }
 
-    // Get feedback/satisfaction data
-    // Feedback needs to be filtered by tickets that belong to allowed clients
-    let feedbackQuery = supabase
-      .from('feedback')
-      .select('id, score, date, ticket_id');
-
-    const { data: feedbackData, error: feedbackError } = await feedbackQuery;
+    // Satisfied/dissatisfied counts and satisfaction rate of a set of feedback
+    const summariseFeedback = feedback => {
+      const satisfied = feedback.filter(f => f.score === 1).length;
+      const dissatisfied = feedback.filter(f => f.score === 2).length;
+      const total = feedback.filter(f => f.score).length;
 
-    let satisfactionStats = {
-      satisfied: 0,
-      dissatisfied: 0,
-      total: 0,
-      satisfactionRate: 0
+      return {
+        satisfied,
+        dissatisfied,
+        total,
+        satisfactionRate: total > 0 ? (satisfied / total * 100).toFixed(1) : 0
+      };
     };
 
+    let filteredFeedback = [];
+
     if (feedbackError) {
       console.warn('Error fetching feedback data:', feedbackError.message);
       // Continue without feedback data - not critical
-    } else if (feedbackData && feedbackData.length > 0) {
-      // Filter feedback to only include tickets from allowed clients
-      let filteredFeedback = feedbackData;
-      if (allowedClientIds !== null) {
-        const allowedTicketIds = allTickets.map(t => t.id);
-        filteredFeedback = feedbackData.filter(f => allowedTicketIds.includes(f.ticket_id));
-      }
+    } else {
+      filteredFeedback = feedbackData;
+    }
 
-      const satisfied = filteredFeedback.filter(f => f.score === 1).length;
-      const dissatisfied = filteredFeedback.filter(f => f.score === 2).length;
-      const total = filteredFeedback.filter(f => f.score).length;
+    const satisfactionStats = summariseFeedback(filteredFeedback);
 
-      satisfactionStats = {
-        satisfied,
-        dissatisfied,
-        total,
-        satisfactionRate: total > 0 ? (satisfied / total * 100).toFixed(1) : 0
-      };
+    // Response/resolution times and SLA compliance for tickets opened in the last 30 days
+    let getSlaTarget = null;
+    try {
+      getSlaTarget = await loadSlaTargets(supabase, allowedClientIds);
+    } catch (slaError) {
+      console.warn('Error loading SLA targets:', slaError.message);
+      // Continue without SLA compliance - not critical
     }
 
+    const slaStats = {
+      ...calculateSlaStats(recentTickets, getSlaTarget),
+      period: '30 days'
+    };
+
     const responseData = {
       totalTickets,
       openTickets,
@@ -693,9 +1013,150 @@ app.get('/api/dashboard/stats', requireAuth, injectCompanyContext, async (req, r
       },
       topClients: topClientsWithCounts,
       dailyTrend: dailyCounts,
-      satisfaction: satisfactionStats
+      satisfaction: satisfactionStats,
+      sla: slaStats
     };
 
+    // Compare the 30- and 7-day stats with the periods before them and the same periods a
+    // year earlier, and the all-time totals and satisfaction with their values 30 days and a
+    // year ago
+    if (compare) {
+      try {
+        // The previous 30 days come from the year of tickets fetched for the trend
+        if (yearDetailedError) {
+          throw yearDetailedError;
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const sixtyDaysAgo = new Date(now.getTime() - 60 * dayMs);
+        const fourteenDaysAgo = new Date(now.getTime() - 14 * dayMs);
+        const twoYearsAgo = new Date(now.getTime() - 730 * dayMs);
+
+        // Tickets from the year before the daily trend, for its daily counts and the
+        // year-over-year stats
+        const previousYearTickets = await fetchAllRows(() => {
+          let query = supabase
+            .from('tickets')
+            .select('id, client_id, priority_id, date_occurred, response_date, date_closed, is_closed')
+            .is('removal_status', null)
+            .gte('date_occurred', twoYearsAgo.toISOString())
+            .lt('date_occurred', oneYearAgo.toISOString())
+            .order('id', { ascending: true });
+
+          if (allowedClientIds !== null) {
+            query = query.in('client_id', allowedClientIds);
+          }
+
+          return query;
+        });
+
+        const openedBetween = (tickets, start, end) => tickets.filter(t => {
+          const occurred = new Date(t.date_occurred);
+          return occurred >= start && occurred < end;
+        });
+
+        const countTickets = tickets => ({
+          total: tickets.length,
+          open: tickets.filter(t => !t.is_closed).length,
+          closed: tickets.filter(t => t.is_closed).length
+        });
+
+        // All-time totals as they stood at the end of a date's day, counted in the database
+        // (open tickets from the ticket_backlog_series of that day)
+        const totalsAsOf = async date => {
+          const day = date.toISOString().split('T')[0];
+
+          let loggedQuery = supabase
+            .from('tickets')
+            .select('id', { count: 'exact', head: true })
+            .is('removal_status', null)
+            .lte('date_occurred', `${day}T23:59:59.999`);
+
+          if (allowedClientIds !== null) {
+            loggedQuery = loggedQuery.in('client_id', allowedClientIds);
+          }
+
+          const [{ count, error: loggedError }, [backlogDay]] = await Promise.all([
+            loggedQuery,
+            getBacklogSeries(supabase, { clientIds: allowedClientIds, startDate: day, endDate: day })
+          ]);
+
+          if (loggedError) {
+            throw loggedError;
+          }
+
+          const logged = count || 0;
+          const open = backlogDay ? backlogDay.backlog : 0;
+
+          return { totalTickets: logged, openTickets: open, closedTickets: logged - open };
+        };
+
+        const [totalsMonthAgo, totalsYearAgo] = await Promise.all([
+          totalsAsOf(thirtyDaysAgo),
+          totalsAsOf(oneYearAgo)
+        ]);
+
+        const satisfactionAsOf = date => summariseFeedback(filteredFeedback.filter(f => f.date && new Date(f.date) <= date));
+
+        const comparePeriod = (current, other, start, end) => ({
+          startDate: start.toISOString(),
+          endDate: end.toISOString(),
+          ...compareMetrics(current, other)
+        });
+
+        const compareSnapshot = (current, other, date) => ({
+          asOf: date.toISOString(),
+          ...compareMetrics(current, other)
+        });
+
+        const previousMonthTickets = openedBetween(yearTicketsDetailed || [], sixtyDaysAgo, thirtyDaysAgo);
+        const yearAgoMonthStart = new Date(oneYearAgo.getTime() - 30 * dayMs);
+        const yearAgoMonthTickets = openedBetween(previousYearTickets, yearAgoMonthStart, oneYearAgo);
+        const yearAgoWeekStart = new Date(oneYearAgo.getTime() - 7 * dayMs);
+        const currentTotals = { totalTickets, openTickets, closedTickets };
+
+        responseData.comparison = {
+          totals: {
+            previousPeriod: compareSnapshot(currentTotals, totalsMonthAgo, thirtyDaysAgo),
+            yearOverYear: compareSnapshot(currentTotals, totalsYearAgo, oneYearAgo)
+          },
+          recentStats: {
+            previousPeriod: comparePeriod(responseData.recentStats, countTickets(previousMonthTickets), sixtyDaysAgo, thirtyDaysAgo),
+            yearOverYear: comparePeriod(responseData.recentStats, countTickets(yearAgoMonthTickets), yearAgoMonthStart, oneYearAgo)
+          },
+          weekStats: {
+            previousPeriod: comparePeriod(
+              responseData.weekStats,
+              { total: openedBetween(recentTickets, fourteenDaysAgo, sevenDaysAgo).length },
+              fourteenDaysAgo,
+              sevenDaysAgo
+            ),
+            yearOverYear: comparePeriod(
+              responseData.weekStats,
+              { total: openedBetween(previousYearTickets, yearAgoWeekStart, oneYearAgo).length },
+              yearAgoWeekStart,
+              oneYearAgo
+            )
+          },
+          satisfaction: {
+            previousPeriod: compareSnapshot(satisfactionStats, satisfactionAsOf(thirtyDaysAgo), thirtyDaysAgo),
+            yearOverYear: compareSnapshot(satisfactionStats, satisfactionAsOf(oneYearAgo), oneYearAgo)
+          },
+          sla: {
+            previousPeriod: comparePeriod(slaStats, calculateSlaStats(previousMonthTickets, getSlaTarget), sixtyDaysAgo, thirtyDaysAgo),
+            yearOverYear: comparePeriod(slaStats, calculateSlaStats(yearAgoMonthTickets, getSlaTarget), yearAgoMonthStart, oneYearAgo)
+          },
+          // Daily counts for the 365 days before dailyTrend, so any period of the trend can be compared
+          previousYearTrend: countDailyTickets([...previousYearTickets, ...(yearTicketsDetailed || [])], oneYearAgo.getTime())
+        };
+      } catch (comparisonError) {
+        logger.error('Error comparing dashboard stats', { error: comparisonError.message, stack: comparisonError.stack });
+        // Continue without the comparison - not critical, but flagged so it isn't mistaken for no data
+        responseData.comparison = null;
+        responseData.comparisonError = 'Failed to compare dashboard statistics';
+      }
+    }
+
     logger.info('Dashboard stats response', {
       totalTickets,
       openTickets,
@@ -956,7 +1417,13 @@ const server = app.listen(PORT, () => {
   });
   console.log(`HaloPSA Reporting Server (Supabase) running on http://localhost:${PORT}`);
   console.log(`Logs are being written to: ${logger.LOG_FILE}`);
-  console.log(`Note: Run 'node sync-service.js' to sync data from HaloPSA to Supabase`);
+
+  // Scheduled jobs (HaloPSA sync, cache warm-ups, report deliveries) run in this process
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  } else {
+    console.log('Job scheduler disabled (SCHEDULER_ENABLED=false)');
+  }
 });
 
 // Handle server errors
@@ -970,16 +1437,23 @@ server.on('error', (error) => {
 });
 
 // Handle process termination
-process.on('SIGTERM', () => {
+// Syncs and scheduled jobs run in this process, so record them as interrupted first
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopScheduler();
+  await markInterruptedRuns();
+  await markInterruptedJobRuns();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopScheduler();
+  await markInterruptedRuns();
+  await markInterruptedJobRuns();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
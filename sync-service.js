@@ -1,14 +1,29 @@
 // Load .env file in development (not needed in Docker as env vars are injected)
 require('dotenv').config();
 
+const crypto = require('crypto');
+const fs = require('fs');
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { PRIMARY_SOURCE, SOURCE_ID_SPAN, getSourceConfigs, findIncompleteSources, loadSources, toStoredId, toHaloId, sourceKey } = require('./halo-sources');
 
-// HaloPSA Configuration
-const HALO_API_URL = process.env.HALO_API_URL;
-const HALO_AUTH_URL = HALO_API_URL ? HALO_API_URL.replace('/api', '/auth') : null;
-const HALO_CLIENT_ID = process.env.HALO_CLIENT_ID;
-const HALO_CLIENT_SECRET = process.env.HALO_CLIENT_SECRET;
+// HaloPSA Configuration - the primary source plus any listed in HALO_SOURCES (see halo-sources.js)
+const HALO_SOURCE_CONFIGS = getSourceConfigs();
+
+// Read a whole-number setting from the environment (0 is a valid value)
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// HaloPSA request handling: each request times out after HALO_REQUEST_TIMEOUT_MS and
+// rate limited (429), server error (5xx) and network failures are retried up to
+// HALO_MAX_RETRIES times with exponential backoff starting at HALO_RETRY_BASE_DELAY_MS
+const HALO_PAGE_SIZE = 100;
+const HALO_REQUEST_TIMEOUT_MS = intFromEnv('HALO_REQUEST_TIMEOUT_MS', 30000);
+const HALO_MAX_RETRIES = intFromEnv('HALO_MAX_RETRIES', 5);
+const HALO_RETRY_BASE_DELAY_MS = intFromEnv('HALO_RETRY_BASE_DELAY_MS', 1000);
+const HALO_RETRY_MAX_DELAY_MS = intFromEnv('HALO_RETRY_MAX_DELAY_MS', 60000);
 
 // Supabase Configuration
 // Use service_role key to bypass RLS for sync operations
@@ -17,9 +32,10 @@ const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 // Security: Log environment variable status without revealing values
 console.log('Sync Service - Environment check:');
-console.log('- HALO_API_URL:', HALO_API_URL ? 'Set' : 'NOT SET');
-console.log('- HALO_CLIENT_ID:', HALO_CLIENT_ID ? 'Set' : 'NOT SET');
-console.log('- HALO_CLIENT_SECRET:', HALO_CLIENT_SECRET ? 'Set' : 'NOT SET');
+HALO_SOURCE_CONFIGS.forEach(config => {
+  console.log(`- HaloPSA source "${config.name}": API URL ${config.apiUrl ? 'Set' : 'NOT SET'}, ` +
+    `client ID ${config.clientId ? 'Set' : 'NOT SET'}, client secret ${config.clientSecret ? 'Set' : 'NOT SET'}`);
+});
 console.log('- SUPABASE_URL:', SUPABASE_URL ? 'Set' : 'NOT SET');
 console.log('- SUPABASE_SERVICE_ROLE_KEY:', SUPABASE_SERVICE_ROLE_KEY ? 'Set' : 'NOT SET');
 
@@ -33,105 +49,604 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
   process.exit(1);
 }
 
-if (!HALO_API_URL || !HALO_CLIENT_ID || !HALO_CLIENT_SECRET) {
+if (HALO_SOURCE_CONFIGS.length === 0 || findIncompleteSources(HALO_SOURCE_CONFIGS).length > 0) {
   console.error('ERROR: HaloPSA credentials must be set');
   console.error('Required: HALO_API_URL, HALO_CLIENT_ID, HALO_CLIENT_SECRET');
+  console.error('and for each source in HALO_SOURCES: HALO_<NAME>_API_URL, HALO_<NAME>_CLIENT_ID, HALO_<NAME>_CLIENT_SECRET');
+  findIncompleteSources(HALO_SOURCE_CONFIGS).forEach(config => {
+    console.error(`Incomplete settings for HaloPSA source "${config.name}"`);
+  });
   process.exit(1);
 }
 
 // Create Supabase client with service_role key to bypass RLS
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
-let accessToken = null;
-let tokenExpiry = null;
+// Configured sources with their ID offsets - loaded once, since offsets never change
+let sourcesPromise = null;
+
+// Every configured HaloPSA source, registering new ones in halo_sources
+async function getSources() {
+  if (!sourcesPromise) {
+    sourcesPromise = loadSources(supabase).catch(error => {
+      sourcesPromise = null;
+      throw error;
+    });
+  }
+
+  return sourcesPromise;
+}
+
+// A configured HaloPSA source by name
+// Throws an error with code UNKNOWN_SOURCE if there is no such source
+async function getSource(name = PRIMARY_SOURCE) {
+  const source = (await getSources()).find(s => s.name === name);
+
+  if (!source) {
+    const unknownError = new Error(`Unknown HaloPSA source "${name}"`);
+    unknownError.code = 'UNKNOWN_SOURCE';
+    throw unknownError;
+  }
+
+  return source;
+}
+
+// Limit a query to one source's records (those whose namespaced ID is in its range)
+function whereSource(query, source, column = 'id') {
+  return query.gte(column, source.idOffset).lt(column, source.idOffset + SOURCE_ID_SPAN);
+}
+
+// OAuth tokens by source name: { token, expiry }
+const accessTokens = new Map();
+
+// Get OAuth token from a HaloPSA source
+async function getAccessToken(source) {
+  const cached = accessTokens.get(source.name);
 
-// Get OAuth token from HaloPSA
-async function getAccessToken() {
-  if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return accessToken;
+  if (cached && Date.now() < cached.expiry) {
+    return cached.token;
   }
 
   try {
-    const response = await axios.post(`${HALO_AUTH_URL}/token`,
+    const response = await axios.post(`${source.authUrl}/token`,
       new URLSearchParams({
         grant_type: 'client_credentials',
-        client_id: HALO_CLIENT_ID,
-        client_secret: HALO_CLIENT_SECRET,
+        client_id: source.clientId,
+        client_secret: source.clientSecret,
         scope: 'all'
       }), {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
-        }
+        },
+        timeout: HALO_REQUEST_TIMEOUT_MS
       }
     );
 
-    accessToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000;
+    accessTokens.set(source.name, {
+      token: response.data.access_token,
+      expiry: Date.now() + (response.data.expires_in * 1000) - 60000
+    });
 
-    return accessToken;
+    return response.data.access_token;
   } catch (error) {
-    console.error('Error getting access token:', error.response?.data || error.message);
-    throw new Error('Failed to authenticate with HaloPSA');
+    console.error(`Error getting access token for HaloPSA source "${source.name}":`, error.response?.data || error.message);
+    throw new Error(`Failed to authenticate with HaloPSA source "${source.name}"`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors and timeouts (no response), rate limiting and server errors are worth retrying
+function isRetryableError(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+// How long to wait before retry number `attempt` (0-based): the server's Retry-After
+// if it sent one, otherwise exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter) {
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+
+    if (!isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), HALO_RETRY_MAX_DELAY_MS);
+    }
+  }
+
+  const backoff = HALO_RETRY_BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * HALO_RETRY_BASE_DELAY_MS;
+
+  return Math.min(backoff + jitter, HALO_RETRY_MAX_DELAY_MS);
+}
+
+// GET a HaloPSA API endpoint of a source with a timeout, retrying transient failures
+async function haloGet(source, endpoint, params = {}) {
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const token = await getAccessToken(source);
+
+    try {
+      return await axios.get(`${source.apiUrl}/${endpoint}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        params,
+        timeout: HALO_REQUEST_TIMEOUT_MS
+      });
+    } catch (error) {
+      const status = error.response?.status;
+
+      // The cached token can be revoked before it expires - get a new one once
+      if (status === 401 && !tokenRefreshed) {
+        tokenRefreshed = true;
+        accessTokens.delete(source.name);
+        attempt--;
+        continue;
+      }
+
+      if (!isRetryableError(error) || attempt >= HALO_MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`  ${endpoint} request failed (${status || error.code || error.message}), ` +
+        `retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${HALO_MAX_RETRIES})`);
+
+      await sleep(delay);
+    }
+  }
+}
+
+// Find an unfinished paginated fetch for a sync type. A checkpoint left with the same
+// resumeKey is continued with its original parameters from the page after the last
+// one stored; anything else starts again from page 1 with the given parameters.
+async function resumeFromCheckpoint(syncType, resumeKey, params) {
+  const { data, error } = await supabase
+    .from('sync_checkpoints')
+    .select('resume_key, params, last_page, records_fetched')
+    .eq('sync_type', syncType)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`Could not read ${syncType} checkpoint:`, error.message);
+    return { params, startPage: 1 };
+  }
+
+  if (!data || data.resume_key !== resumeKey) {
+    return { params, startPage: 1 };
+  }
+
+  console.log(`Resuming ${syncType} from page ${data.last_page + 1} (${data.records_fetched} records already stored)`);
+
+  return { params: data.params, startPage: data.last_page + 1 };
+}
+
+// Record that every page up to lastPage has been fetched and stored
+async function saveCheckpoint({ syncType, resumeKey, runId = null }, params, lastPage, recordsFetched) {
+  const { error } = await supabase
+    .from('sync_checkpoints')
+    .upsert({
+      sync_type: syncType,
+      resume_key: resumeKey,
+      params,
+      last_page: lastPage,
+      records_fetched: recordsFetched,
+      run_id: runId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'sync_type' });
+
+  if (error) {
+    console.warn(`Could not save ${syncType} checkpoint:`, error.message);
+  }
+}
+
+// Remove the checkpoint once a fetch has completed
+async function clearCheckpoint(syncType) {
+  const { error } = await supabase
+    .from('sync_checkpoints')
+    .delete()
+    .eq('sync_type', syncType);
+
+  if (error) {
+    console.warn(`Could not clear ${syncType} checkpoint:`, error.message);
   }
 }
 
-// Fetch all items with pagination
-async function fetchAllItems(token, endpoint, params = {}) {
+// Fetch all items from a HaloPSA source with pagination
+// options.startPage: first page to fetch (when resuming from a checkpoint)
+// options.onItems: awaited with each page's items - store them here so the page is
+//   saved before the checkpoint moves past it
+// options.checkpoint: { syncType, resumeKey, runId } records each stored page in
+//   sync_checkpoints, and clears it once the last page is done
+// options.onProgress: awaited after each page with { page, fetched, total }
+// options.itemsKey: response property holding the items, when it isn't the endpoint name
+// options.pageDelayMs: wait between pages, to leave HaloPSA API capacity for other syncs
+// Returns the items fetched by this call (pages before startPage are not included)
+async function fetchAllItems(source, endpoint, params = {}, options = {}) {
+  const { startPage = 1, onItems = null, checkpoint = null, onProgress = null, itemsKey = null, pageDelayMs = 0 } = options;
   let allItems = [];
-  let pageNo = 1;
+  let pageNo = startPage;
   let hasMore = true;
 
   while (hasMore) {
-    const response = await axios.get(`${HALO_API_URL}/${endpoint}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        ...params,
-        pageinate: true,
-        page_size: 100,
-        page_no: pageNo
-      }
+    const response = await haloGet(source, endpoint, {
+      ...params,
+      pageinate: true,
+      page_size: HALO_PAGE_SIZE,
+      page_no: pageNo
     });
 
-    const items = response.data[endpoint.toLowerCase()] || response.data.tickets || response.data.clients || [];
+    const items = response.data[itemsKey || endpoint.toLowerCase()] || response.data.tickets || response.data.clients || [];
     allItems = allItems.concat(items);
 
     const recordCount = response.data.record_count || 0;
+    const fetched = (startPage - 1) * HALO_PAGE_SIZE + allItems.length;
+
+    console.log(`  Page ${pageNo}: Fetched ${items.length} items, Total: ${fetched}/${recordCount}`);
+
+    if (onItems) {
+      await onItems(items);
+    }
 
-    console.log(`  Page ${pageNo}: Fetched ${items.length} items, Total: ${allItems.length}/${recordCount}`);
+    if (checkpoint) {
+      await saveCheckpoint(checkpoint, params, pageNo, fetched);
+    }
+
+    if (onProgress) {
+      await onProgress({ page: pageNo, fetched, total: recordCount });
+    }
 
-    if (allItems.length >= recordCount || items.length === 0) {
+    if (fetched >= recordCount || items.length === 0) {
       hasMore = false;
     } else {
       pageNo++;
+
+      if (pageDelayMs > 0) {
+        await sleep(pageDelayMs);
+      }
     }
   }
 
+  if (checkpoint) {
+    await clearCheckpoint(checkpoint.syncType);
+  }
+
   return allItems;
 }
 
-// Sync clients from HaloPSA to Supabase
-async function syncClients() {
+// Fetch a lookup list (Agent, Team, ...) - these endpoints return a plain array
+// rather than the paginated { record_count, items } shape
+async function fetchList(source, endpoint, params = {}) {
+  const response = await haloGet(source, endpoint, params);
+
+  return Array.isArray(response.data)
+    ? response.data
+    : response.data[endpoint.toLowerCase()] || [];
+}
+
+// IDs of sync runs executing in this process (marked interrupted on shutdown)
+const activeRunIds = new Set();
+
+// Only one full sync of a source may run at a time across the scheduler, the CLI and the API
+const SYNC_LOCK_NAME = 'full_sync';
+// Only one backfill of a source may run at a time; while it writes a month it also holds
+// the source's full sync lock, which it releases between months
+const BACKFILL_LOCK_NAME = 'backfill';
+// A lock older than this is treated as stale (its holder is assumed to have died)
+const SYNC_LOCK_TTL_SECONDS = (parseInt(process.env.SYNC_LOCK_TTL_MINUTES) || 120) * 60;
+
+// Name of a source's full sync lock - each source syncs independently
+function getSyncLockName(source) {
+  return sourceKey(source, SYNC_LOCK_NAME);
+}
+
+// Take the full sync lock (or another named lock) for a run
+// Returns { acquired, holderRunId } - holderRunId is the run that holds the lock
+// Throws if the lock can't be checked, so a sync never runs unguarded
+async function acquireSyncLock(runId, lockName = SYNC_LOCK_NAME) {
+  const { data: holderRunId, error } = await supabase.rpc('acquire_sync_lock', {
+    lock_name: lockName,
+    lock_run_id: runId,
+    ttl_seconds: SYNC_LOCK_TTL_SECONDS
+  });
+
+  if (error) {
+    console.error('Could not acquire sync lock:', error.message);
+    throw new Error(`Could not acquire sync lock "${lockName}": ${error.message}`);
+  }
+
+  return { acquired: holderRunId === runId, holderRunId };
+}
+
+// Push the expiry of the locks this run holds forward while a long sync is still making progress
+async function refreshSyncLock(runId, lockNames = SYNC_LOCK_NAME) {
+  const { error } = await supabase
+    .from('sync_locks')
+    .update({ expires_at: new Date(Date.now() + SYNC_LOCK_TTL_SECONDS * 1000).toISOString() })
+    .in('name', [].concat(lockNames))
+    .eq('run_id', runId);
+
+  if (error) {
+    console.warn('Could not refresh sync lock:', error.message);
+  }
+}
+
+// Release the lock if this run still holds it
+async function releaseSyncLock(runIds, lockName = SYNC_LOCK_NAME) {
+  const { error } = await supabase
+    .from('sync_locks')
+    .delete()
+    .eq('name', lockName)
+    .in('run_id', [].concat(runIds));
+
+  if (error) {
+    console.warn('Could not release sync lock:', error.message);
+  }
+}
+
+// Create a sync_runs row for a new full sync and return its id
+// Returns null if the run can't be recorded - the sync still runs, just untracked
+async function createSyncRun({ id = undefined, triggeredBy = null, source = 'cli', haloSource = PRIMARY_SOURCE, mode = null, monthsBack = null, dryRun = false } = {}) {
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .insert({
+      id,
+      triggered_by: triggeredBy,
+      trigger_source: source,
+      halo_source: haloSource,
+      sync_mode: mode,
+      months_back: monthsBack,
+      dry_run: dryRun,
+      status: 'running'
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.warn('Could not record sync run:', error.message);
+    return null;
+  }
+
+  return data.id;
+}
+
+// Record which stage (clients, tickets, feedback, ...) a tracked run has reached
+async function setRunStage(run, stage) {
+  if (!run || !run.id) return;
+
+  await refreshSyncLock(run.id, run.lockNames);
+
+  const { error } = await supabase
+    .from('sync_runs')
+    .update({
+      stage,
+      current_page: 0,
+      records_fetched: 0,
+      records_total: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', run.id);
+
+  if (error) {
+    console.warn('Could not update sync run stage:', error.message);
+  }
+}
+
+// Record page progress for a tracked run, and stop the sync if a cancel was requested
+// Also keeps the run's lock alive, as a single stage can outlast SYNC_LOCK_TTL_MINUTES
+async function reportRunProgress(run, { page, fetched, total }) {
+  if (!run || !run.id) return;
+
+  await refreshSyncLock(run.id, run.lockNames);
+
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .update({
+      current_page: page,
+      records_fetched: fetched,
+      records_total: total || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', run.id)
+    .select('cancel_requested')
+    .single();
+
+  if (error) {
+    console.warn('Could not update sync run progress:', error.message);
+    return;
+  }
+
+  if (data.cancel_requested) {
+    throw createCancelledError();
+  }
+}
+
+// Stop the sync if a cancel was requested, for runs waiting between pages (e.g. a paused backfill)
+async function checkRunCancelled(run) {
+  if (!run || !run.id) return;
+
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .select('cancel_requested')
+    .eq('id', run.id)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('Could not check for sync cancellation:', error.message);
+    return;
+  }
+
+  if (data && data.cancel_requested) {
+    throw createCancelledError();
+  }
+}
+
+function createCancelledError() {
+  const cancelError = new Error('Sync cancelled by user');
+  cancelError.code = 'SYNC_CANCELLED';
+  return cancelError;
+}
+
+// Record the final outcome of a tracked run
+async function finishSyncRun(run, status, { result = null, error = null } = {}) {
+  if (!run || !run.id) return;
+
+  const { error: updateError } = await supabase
+    .from('sync_runs')
+    .update({
+      status,
+      result,
+      error_message: error ? error.message : null,
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', run.id);
+
+  if (updateError) {
+    console.warn('Could not record sync run outcome:', updateError.message);
+  }
+}
+
+// Mark runs still executing in this process as interrupted (used on shutdown)
+async function markInterruptedRuns() {
+  if (activeRunIds.size === 0) return;
+
+  const { error } = await supabase
+    .from('sync_runs')
+    .update({
+      status: 'interrupted',
+      error_message: 'Process shut down while sync was running',
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .in('id', [...activeRunIds])
+    .eq('status', 'running');
+
+  if (error) {
+    console.error('Could not mark interrupted sync runs:', error.message);
+  }
+
+  for (const config of HALO_SOURCE_CONFIGS) {
+    await releaseSyncLock([...activeRunIds], getSyncLockName(config));
+    await releaseSyncLock([...activeRunIds], sourceKey(config, BACKFILL_LOCK_NAME));
+  }
+}
+
+// Incremental syncs re-read this much before the watermark so tickets
+// updated while the previous run was in progress aren't missed
+const WATERMARK_OVERLAP_MS = 10 * 60 * 1000;
+
+// HaloPSA and Postgres TIMESTAMP values have no timezone suffix - treat them as UTC
+function parseUtcDate(value) {
+  if (!value) return null;
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = new Date(hasZone ? value : `${value}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Get the stored high-water mark for a sync type (null if none recorded yet)
+async function getWatermark(syncType) {
+  const { data, error } = await supabase
+    .from('sync_watermarks')
+    .select('watermark')
+    .eq('sync_type', syncType)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`Could not read ${syncType} watermark:`, error.message);
+    return null;
+  }
+
+  return data ? parseUtcDate(data.watermark) : null;
+}
+
+// Store the high-water mark for a sync type after a successful run
+async function setWatermark(syncType, watermark) {
+  const { error } = await supabase
+    .from('sync_watermarks')
+    .upsert({
+      sync_type: syncType,
+      watermark: watermark.toISOString(),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'sync_type' });
+
+  if (error) {
+    console.warn(`Could not store ${syncType} watermark:`, error.message);
+  }
+}
+
+// Count tickets that are new or whose last action date differs from what we have stored
+async function countChangedTickets(tickets) {
+  let changed = 0;
+  const chunkSize = 200;
+
+  for (let i = 0; i < tickets.length; i += chunkSize) {
+    const chunk = tickets.slice(i, i + chunkSize);
+
+    const { data: existing, error } = await supabase
+      .from('tickets')
+      .select('id, last_action_date')
+      .in('id', chunk.map(t => t.id));
+
+    if (error) {
+      console.error('Error checking existing tickets:', error);
+      throw error;
+    }
+
+    const storedDates = new Map(existing.map(t => [t.id, parseUtcDate(t.last_action_date)]));
+
+    chunk.forEach(ticket => {
+      if (!storedDates.has(ticket.id)) {
+        changed++;
+        return;
+      }
+
+      const stored = storedDates.get(ticket.id);
+      const incoming = parseUtcDate(ticket.last_action_date);
+
+      if ((stored ? stored.getTime() : null) !== (incoming ? incoming.getTime() : null)) {
+        changed++;
+      }
+    });
+  }
+
+  return changed;
+}
+
+// Map a HaloPSA client of a source onto the clients table
+function transformClient(source, client) {
+  return {
+    id: toStoredId(source, client.id),
+    halo_source: source.name,
+    name: client.name,
+    toplevel_id: toStoredId(source, client.toplevel_id),
+    toplevel_name: client.toplevel_name,
+    inactive: client.inactive || false,
+    colour: client.colour,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Sync clients from a HaloPSA source to Supabase
+async function syncClients(source, options = {}) {
   console.log('\n=== Syncing Clients ===');
 
   try {
-    const token = await getAccessToken();
-    const clients = await fetchAllItems(token, 'Client');
+    const clients = await fetchAllItems(source, 'Client', {}, {
+      onProgress: progress => reportRunProgress(options.run, progress)
+    });
 
     console.log(`Fetched ${clients.length} clients from HaloPSA`);
 
     // Transform and insert clients
-    const transformedClients = clients.map(client => ({
-      id: client.id,
-      name: client.name,
-      toplevel_id: client.toplevel_id,
-      toplevel_name: client.toplevel_name,
-      inactive: client.inactive || false,
-      colour: client.colour,
-      updated_at: new Date().toISOString()
-    }));
+    const transformedClients = clients.map(client => transformClient(source, client));
 
     // Upsert clients (insert or update if exists)
     const { data, error } = await supabase
@@ -148,6 +663,7 @@ async function syncClients() {
     // Record sync metadata
     await supabase.from('sync_metadata').insert({
       sync_type: 'clients',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
       records_synced: transformedClients.length,
       status: 'success'
@@ -160,6 +676,7 @@ async function syncClients() {
     // Record failed sync
     await supabase.from('sync_metadata').insert({
       sync_type: 'clients',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
       records_synced: 0,
       status: 'failed',
@@ -170,100 +687,60 @@ async function syncClients() {
   }
 }
 
-// Sync tickets from HaloPSA to Supabase
-async function syncTickets(monthsBack = 12) {
-  console.log(`\n=== Syncing Tickets (last ${monthsBack} months) ===`);
+// Sync client sites (offices) from a HaloPSA source to Supabase
+async function syncSites(source, options = {}) {
+  console.log('\n=== Syncing Sites ===');
 
   try {
-    const token = await getAccessToken();
-
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - monthsBack);
-
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
-
-    console.log(`Fetching tickets from ${startDateStr} to ${endDateStr}`);
-
-    const tickets = await fetchAllItems(token, 'Tickets', {
-      startdate: startDateStr,
-      enddate: endDateStr
-    });
-
-    console.log(`Fetched ${tickets.length} tickets from HaloPSA`);
-
-    // Transform and insert tickets
-    const transformedTickets = tickets.map(ticket => ({
-      id: ticket.id,
-      client_id: ticket.client_id,
-      client_name: ticket.client_name,
-      site_id: ticket.site_id,
-      site_name: ticket.site_name,
-      user_id: ticket.user_id,
-      user_name: ticket.user_name,
-      summary: ticket.summary,
-      details: ticket.details,
-      status_id: ticket.status_id,
-      status_name: ticket.statusname || ticket.status,
-      priority_id: ticket.priority_id,
-      tickettype_id: ticket.tickettype_id,
-      team_id: ticket.team_id,
-      team: ticket.team,
-      agent_id: ticket.agent_id,
-      date_occurred: ticket.dateoccurred,
-      date_closed: ticket.dateclosed,
-      response_date: ticket.responsedate,
-      last_action_date: ticket.lastactiondate,
-      is_closed: ticket.status_id === 9 ||
-                 ticket.statusname?.toLowerCase().includes('closed') ||
-                 ticket.status?.toLowerCase().includes('closed'),
-      updated_at: new Date().toISOString()
-    }));
-
-    // Insert in batches of 1000
-    const batchSize = 1000;
-    for (let i = 0; i < transformedTickets.length; i += batchSize) {
-      const batch = transformedTickets.slice(i, i + batchSize);
-
-      console.log(`Upserting batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(transformedTickets.length / batchSize)}`);
-
-      const { error } = await supabase
-        .from('tickets')
-        .upsert(batch, { onConflict: 'id' });
+    let syncedCount = 0;
+
+    await fetchAllItems(source, 'Site', { includeinactive: true }, {
+      itemsKey: 'sites',
+      onProgress: progress => reportRunProgress(options.run, progress),
+      onItems: async sites => {
+        if (sites.length === 0) return;
+
+        const transformedSites = sites.map(site => ({
+          id: toStoredId(source, site.id),
+          name: site.name,
+          client_id: toStoredId(source, site.client_id || null),
+          client_name: site.client_name || null,
+          inactive: site.inactive || false,
+          updated_at: new Date().toISOString()
+        }));
+
+        const { error } = await supabase
+          .from('sites')
+          .upsert(transformedSites, { onConflict: 'id' });
+
+        if (error) {
+          console.error('Error upserting sites:', error);
+          throw error;
+        }
 
-      if (error) {
-        console.error('Error upserting tickets:', error);
-        throw error;
+        syncedCount += transformedSites.length;
       }
-    }
-
-    console.log(`Successfully synced ${transformedTickets.length} tickets`);
-
-    // Update last_ticket_date for each client
-    console.log('Updating client last ticket dates...');
-    const { error: updateError } = await supabase.rpc('update_client_last_ticket_dates');
+    });
 
-    if (updateError && !updateError.message.includes('does not exist')) {
-      console.warn('Note: update_client_last_ticket_dates function not found. You may need to create it manually.');
-    }
+    console.log(`Successfully synced ${syncedCount} sites`);
 
     // Record sync metadata
     await supabase.from('sync_metadata').insert({
-      sync_type: 'tickets',
+      sync_type: 'sites',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
-      records_synced: transformedTickets.length,
+      records_synced: syncedCount,
       status: 'success'
     });
 
-    return transformedTickets.length;
+    return syncedCount;
   } catch (error) {
-    console.error('Error syncing tickets:', error);
+    console.error('Error syncing sites:', error);
 
     // Record failed sync
     await supabase.from('sync_metadata').insert({
-      sync_type: 'tickets',
+      sync_type: 'sites',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
       records_synced: 0,
       status: 'failed',
@@ -274,130 +751,62 @@ async function syncTickets(monthsBack = 12) {
   }
 }
 
-// Sync feedback from HaloPSA to Supabase
-async function syncFeedback() {
-  console.log('\n=== Syncing Feedback ===');
+// Sync end users (ticket requesters) from a HaloPSA source to Supabase
+async function syncEndUsers(source, options = {}) {
+  console.log('\n=== Syncing End Users ===');
 
   try {
-    const token = await getAccessToken();
-
-    // Fetch feedback data (try pagination, but may return all at once)
-    let allFeedback = [];
-    let pageNo = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const response = await axios.get(`${HALO_API_URL}/Feedback`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          pageinate: true,
-          page_size: 100,
-          page_no: pageNo
+    let syncedCount = 0;
+
+    await fetchAllItems(source, 'Users', { includeinactive: true }, {
+      itemsKey: 'users',
+      onProgress: progress => reportRunProgress(options.run, progress),
+      onItems: async users => {
+        if (users.length === 0) return;
+
+        const transformedUsers = users.map(user => ({
+          id: toStoredId(source, user.id),
+          name: user.name,
+          email: user.emailaddress || null,
+          client_id: toStoredId(source, user.client_id || null),
+          site_id: toStoredId(source, user.site_id || null),
+          site_name: user.site_name || null,
+          inactive: user.inactive || false,
+          updated_at: new Date().toISOString()
+        }));
+
+        const { error } = await supabase
+          .from('end_users')
+          .upsert(transformedUsers, { onConflict: 'id' });
+
+        if (error) {
+          console.error('Error upserting end users:', error);
+          throw error;
         }
-      });
 
-      // Feedback may be returned directly as an array
-      const items = Array.isArray(response.data) ? response.data : [];
-
-      if (items.length === 0) {
-        hasMore = false;
-      } else {
-        allFeedback = allFeedback.concat(items);
-        console.log(`  Page ${pageNo}: Fetched ${items.length} items, Total: ${allFeedback.length}`);
-
-        // If we got less than page_size, we've reached the end
-        if (items.length < 100) {
-          hasMore = false;
-        } else {
-          pageNo++;
-        }
+        syncedCount += transformedUsers.length;
       }
-    }
-
-    console.log(`Fetched ${allFeedback.length} feedback entries from HaloPSA`);
-
-    if (allFeedback.length === 0) {
-      console.log('No feedback data to sync');
-      return 0;
-    }
-
-    // Get all ticket IDs from our database to verify foreign key constraints
-    const { data: existingTickets, error: ticketCheckError } = await supabase
-      .from('tickets')
-      .select('id');
-
-    if (ticketCheckError) {
-      console.error('Error checking existing tickets:', ticketCheckError);
-      throw ticketCheckError;
-    }
-
-    const existingTicketIds = new Set(existingTickets.map(t => t.id));
-
-    // Transform and filter feedback (only include feedback for tickets we have)
-    const transformedFeedback = allFeedback
-      .filter(feedback => {
-        if (!feedback.ticket_id || !existingTicketIds.has(feedback.ticket_id)) {
-          console.log(`  Skipping feedback ${feedback.id} - ticket ${feedback.ticket_id} not in database`);
-          return false;
-        }
-        return true;
-      })
-      .map(feedback => ({
-        id: feedback.id,
-        ticket_id: feedback.ticket_id,
-        score: feedback.score,
-        score_band: feedback.score_band,
-        date: feedback.date,
-        comment: feedback.comment || null,
-        ip_address: feedback.ip_address || null,
-        updated_at: new Date().toISOString()
-      }));
-
-    console.log(`Filtered to ${transformedFeedback.length} feedback entries with matching tickets`);
-
-    if (transformedFeedback.length === 0) {
-      console.log('No feedback entries matched existing tickets');
-      return 0;
-    }
-
-    // Upsert feedback
-    const { error } = await supabase
-      .from('feedback')
-      .upsert(transformedFeedback, { onConflict: 'id' });
-
-    if (error) {
-      console.error('Error upserting feedback:', error);
-      throw error;
-    }
-
-    console.log(`Successfully synced ${transformedFeedback.length} feedback entries`);
-
-    // Calculate satisfaction stats
-    const totalWithScore = transformedFeedback.filter(f => f.score).length;
-    const satisfied = transformedFeedback.filter(f => f.score === 1).length;
-    const dissatisfied = transformedFeedback.filter(f => f.score === 2).length;
+    });
 
-    console.log(`  Satisfaction: ${satisfied}/${totalWithScore} (${(satisfied/totalWithScore*100).toFixed(1)}%)`);
-    console.log(`  Dissatisfied: ${dissatisfied}/${totalWithScore} (${(dissatisfied/totalWithScore*100).toFixed(1)}%)`);
+    console.log(`Successfully synced ${syncedCount} end users`);
 
     // Record sync metadata
     await supabase.from('sync_metadata').insert({
-      sync_type: 'feedback',
+      sync_type: 'end_users',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
-      records_synced: transformedFeedback.length,
+      records_synced: syncedCount,
       status: 'success'
     });
 
-    return transformedFeedback.length;
+    return syncedCount;
   } catch (error) {
-    console.error('Error syncing feedback:', error);
+    console.error('Error syncing end users:', error);
 
     // Record failed sync
     await supabase.from('sync_metadata').insert({
-      sync_type: 'feedback',
+      sync_type: 'end_users',
+      halo_source: source.name,
       last_sync: new Date().toISOString(),
       records_synced: 0,
       status: 'failed',
@@ -408,50 +817,1921 @@ async function syncFeedback() {
   }
 }
 
-// Main sync function
-async function performFullSync(monthsBack = 12) {
-  console.log('=== Starting Full Sync ===');
-  console.log(`Time: ${new Date().toISOString()}`);
+// Sync teams from a HaloPSA source to Supabase
+async function syncTeams(source) {
+  console.log('\n=== Syncing Teams ===');
 
   try {
-    const clientCount = await syncClients();
-    const ticketCount = await syncTickets(monthsBack);
-    const feedbackCount = await syncFeedback();
+    const teams = await fetchList(source, 'Team', { includedisabled: true });
 
-    console.log('\n=== Sync Complete ===');
+    console.log(`Fetched ${teams.length} teams from HaloPSA`);
+
+    const transformedTeams = teams.map(team => ({
+      id: toStoredId(source, team.id),
+      name: team.name,
+      department_id: toStoredId(source, team.department_id || null),
+      department_name: team.department_name || null,
+      inactive: team.inactive || false,
+      updated_at: new Date().toISOString()
+    }));
+
+    const { error } = await supabase
+      .from('teams')
+      .upsert(transformedTeams, { onConflict: 'id' });
+
+    if (error) {
+      console.error('Error upserting teams:', error);
+      throw error;
+    }
+
+    console.log(`Successfully synced ${transformedTeams.length} teams`);
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'teams',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: transformedTeams.length,
+      status: 'success'
+    });
+
+    return transformedTeams.length;
+  } catch (error) {
+    console.error('Error syncing teams:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'teams',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Sync agents from a HaloPSA source to Supabase
+async function syncAgents(source) {
+  console.log('\n=== Syncing Agents ===');
+
+  try {
+    const agents = await fetchList(source, 'Agent', { includedisabled: true });
+
+    console.log(`Fetched ${agents.length} agents from HaloPSA`);
+
+    const transformedAgents = agents.map(agent => ({
+      id: toStoredId(source, agent.id),
+      name: agent.name,
+      email: agent.email || null,
+      team_id: toStoredId(source, agent.team_id || null),
+      team_name: agent.team || null,
+      inactive: agent.isdisabled || agent.inactive || false,
+      updated_at: new Date().toISOString()
+    }));
+
+    const { error } = await supabase
+      .from('agents')
+      .upsert(transformedAgents, { onConflict: 'id' });
+
+    if (error) {
+      console.error('Error upserting agents:', error);
+      throw error;
+    }
+
+    console.log(`Successfully synced ${transformedAgents.length} agents`);
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'agents',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: transformedAgents.length,
+      status: 'success'
+    });
+
+    return transformedAgents.length;
+  } catch (error) {
+    console.error('Error syncing agents:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'agents',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Sync a small HaloPSA lookup list (ticket types, categories, priorities) of a source into a table
+// transform maps each item to a row with its HaloPSA id, or null to skip it
+async function syncLookupTable(source, { syncType, label, endpoint, params = {}, table, transform }) {
+  console.log(`\n=== Syncing ${label} ===`);
+
+  try {
+    const items = await fetchList(source, endpoint, params);
+
+    console.log(`Fetched ${items.length} ${label.toLowerCase()} from HaloPSA`);
+
+    // Keep the first row for each id (e.g. priorities repeat across SLAs)
+    const rowsById = new Map();
+    items.map(transform).filter(Boolean).forEach(row => {
+      const id = toStoredId(source, row.id);
+
+      if (!rowsById.has(id)) {
+        rowsById.set(id, { ...row, id, updated_at: new Date().toISOString() });
+      }
+    });
+
+    const rows = [...rowsById.values()];
+
+    if (rows.length > 0) {
+      const { error } = await supabase
+        .from(table)
+        .upsert(rows, { onConflict: 'id' });
+
+      if (error) {
+        console.error(`Error upserting ${label.toLowerCase()}:`, error);
+        throw error;
+      }
+    }
+
+    console.log(`Successfully synced ${rows.length} ${label.toLowerCase()}`);
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: syncType,
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: rows.length,
+      status: 'success'
+    });
+
+    return rows.length;
+  } catch (error) {
+    console.error(`Error syncing ${label.toLowerCase()}:`, error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: syncType,
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Sync ticket types from a HaloPSA source to Supabase
+function syncTicketTypes(source) {
+  return syncLookupTable(source, {
+    syncType: 'ticket_types',
+    label: 'Ticket Types',
+    endpoint: 'TicketType',
+    params: { showinactive: true },
+    table: 'ticket_types',
+    transform: type => ({
+      id: type.id,
+      name: type.name,
+      inactive: type.inactive || false
+    })
+  });
+}
+
+// Sync ticket categories from a HaloPSA source to Supabase
+function syncCategories(source) {
+  return syncLookupTable(source, {
+    syncType: 'ticket_categories',
+    label: 'Categories',
+    endpoint: 'Category',
+    table: 'ticket_categories',
+    transform: category => ({
+      id: category.id,
+      name: category.value || category.name,
+      category_type: category.type_id ?? null
+    })
+  });
+}
+
+// Sync ticket priorities from a HaloPSA source to Supabase
+function syncPriorities(source) {
+  return syncLookupTable(source, {
+    syncType: 'ticket_priorities',
+    label: 'Priorities',
+    endpoint: 'Priority',
+    table: 'ticket_priorities',
+    transform: priority => {
+      const id = priority.priorityid ?? priority.id;
+      return id ? { id, name: priority.name, colour: priority.colour || null } : null;
+    }
+  });
+}
+
+// Category used for a status until an admin classifies it (the original closed-ticket rule)
+function defaultStatusCategory(statusId, statusName) {
+  return statusId === 9 || statusName?.toLowerCase().includes('closed') ? 'closed' : 'open';
+}
+
+// Sync ticket statuses from a HaloPSA source to Supabase
+// New statuses get a default category; the category of a known status is never overwritten
+async function syncStatuses(source) {
+  console.log('\n=== Syncing Statuses ===');
+
+  try {
+    const statuses = await fetchList(source, 'Status');
+
+    console.log(`Fetched ${statuses.length} statuses from HaloPSA`);
+
+    const { data: existing, error: existingError } = await whereSource(supabase
+      .from('ticket_statuses')
+      .select('id'), source);
+
+    if (existingError) {
+      console.error('Error fetching existing statuses:', existingError);
+      throw existingError;
+    }
+
+    const existingIds = new Set(existing.map(s => s.id));
+
+    const newStatuses = statuses
+      .filter(status => !existingIds.has(toStoredId(source, status.id)))
+      .map(status => ({
+        id: toStoredId(source, status.id),
+        halo_source: source.name,
+        name: status.name,
+        category: defaultStatusCategory(status.id, status.name),
+        updated_at: new Date().toISOString()
+      }));
+
+    // Only the name is refreshed for statuses we already have
+    const renamedStatuses = statuses
+      .filter(status => existingIds.has(toStoredId(source, status.id)))
+      .map(status => ({
+        id: toStoredId(source, status.id),
+        halo_source: source.name,
+        name: status.name,
+        updated_at: new Date().toISOString()
+      }));
+
+    for (const rows of [newStatuses, renamedStatuses]) {
+      if (rows.length === 0) continue;
+
+      const { error } = await supabase
+        .from('ticket_statuses')
+        .upsert(rows, { onConflict: 'id' });
+
+      if (error) {
+        console.error('Error upserting statuses:', error);
+        throw error;
+      }
+    }
+
+    if (newStatuses.length > 0) {
+      console.log(`  New statuses (review their category in Admin > Ticket Statuses): ${newStatuses.map(s => s.name).join(', ')}`);
+    }
+
+    // Bring stored tickets in line with the current classification
+    const { data: updatedTickets, error: applyError } = await supabase.rpc('apply_status_categories');
+
+    if (applyError) {
+      console.error('Error applying status categories:', applyError);
+      throw applyError;
+    }
+
+    if (updatedTickets > 0) {
+      console.log(`  Updated the status category of ${updatedTickets} tickets`);
+    }
+
+    console.log(`Successfully synced ${statuses.length} statuses`);
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'statuses',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: statuses.length,
+      status: 'success'
+    });
+
+    return statuses.length;
+  } catch (error) {
+    console.error('Error syncing statuses:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'statuses',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Map of stored status id => category used to work out whether tickets are closed
+// Empty if statuses haven't been synced, in which case the default rule applies
+async function loadStatusCategories() {
+  const { data, error } = await supabase
+    .from('ticket_statuses')
+    .select('id, category');
+
+  if (error) {
+    console.warn('Could not load status categories, using default closed-status rule:', error.message);
+    return new Map();
+  }
+
+  return new Map(data.map(status => [status.id, status.category]));
+}
+
+// Newest value of a date column we have stored for a source. Watermarks are advanced
+// from this rather than from the fetched items, since a resumed fetch only holds the
+// pages fetched by the current run.
+async function getNewestStoredDate(source, table, column) {
+  const { data, error } = await whereSource(supabase
+    .from(table)
+    .select(column), source)
+    .not(column, 'is', null)
+    .order(column, { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`Could not read newest ${table}.${column}:`, error.message);
+    return null;
+  }
+
+  return data ? parseUtcDate(data[column]) : null;
+}
+
+// HaloPSA keeps merged tickets, pointing them at the ticket they were merged into
+function getMergedIntoId(ticket) {
+  return ticket.merged_into_id > 0 ? ticket.merged_into_id : null;
+}
+
+// Map a HaloPSA ticket of a source to a tickets row
+// statusCategories (from loadStatusCategories) decides whether the ticket is closed.
+// A ticket returned by HaloPSA exists, so any earlier 'deleted' mark is cleared.
+function transformTicket(source, ticket, statusCategories = new Map()) {
+  const mergedIntoId = getMergedIntoId(ticket);
+  const statusName = ticket.statusname || ticket.status;
+  const statusId = toStoredId(source, ticket.status_id);
+  const statusCategory = statusCategories.get(statusId) ||
+    defaultStatusCategory(ticket.status_id, statusName);
+
+  return {
+    id: toStoredId(source, ticket.id),
+    halo_source: source.name,
+    client_id: toStoredId(source, ticket.client_id),
+    client_name: ticket.client_name,
+    site_id: toStoredId(source, ticket.site_id),
+    site_name: ticket.site_name,
+    user_id: toStoredId(source, ticket.user_id),
+    user_name: ticket.user_name,
+    summary: ticket.summary,
+    details: ticket.details,
+    status_id: statusId,
+    status_name: statusName,
+    status_category: statusCategory,
+    priority_id: toStoredId(source, ticket.priority_id),
+    tickettype_id: toStoredId(source, ticket.tickettype_id),
+    category: ticket.category_1 || null,
+    team_id: toStoredId(source, ticket.team_id),
+    team: ticket.team,
+    agent_id: toStoredId(source, ticket.agent_id),
+    date_occurred: ticket.dateoccurred,
+    date_closed: ticket.dateclosed,
+    response_date: ticket.responsedate,
+    last_action_date: ticket.lastactiondate,
+    is_closed: statusCategory === 'closed',
+    removal_status: mergedIntoId ? 'merged' : null,
+    removal_reason: mergedIntoId ? `Merged into ticket ${mergedIntoId}` : null,
+    merged_into_id: toStoredId(source, mergedIntoId),
+    removed_at: mergedIntoId ? new Date().toISOString() : null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Ask a HaloPSA source about a stored ticket that was missing from the synced window
+// Returns { status, reason, mergedIntoId } if it was deleted or merged, or null if it still exists
+async function checkRemovedTicket(source, ticketId) {
+  try {
+    const response = await haloGet(source, `Tickets/${toHaloId(ticketId)}`);
+    const mergedIntoId = getMergedIntoId(response.data || {});
+
+    if (mergedIntoId) {
+      return { status: 'merged', reason: `Merged into ticket ${mergedIntoId}`, mergedIntoId: toStoredId(source, mergedIntoId) };
+    }
+
+    return null;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { status: 'deleted', reason: 'Ticket no longer exists in HaloPSA', mergedIntoId: null };
+    }
+
+    throw error;
+  }
+}
+
+// Compare a source's tickets stored for a full sync window with the IDs HaloPSA returned
+// for it, and mark stored tickets that have since been deleted or merged. Each missing ticket
+// is looked up individually first, so a ticket that only moved out of the window is kept.
+// Returns the number of tickets marked.
+async function reconcileTickets(source, params, fetchedIds) {
+  console.log('Reconciling stored tickets with HaloPSA...');
+
+  // The end date is a whole day, so leave out today - tickets logged since the fetch started
+  // would otherwise look missing
+  let missingIds = [];
+  let from = 0;
+  const pageSize = 1000;
+
+  while (true) {
+    const { data, error } = await whereSource(supabase
+      .from('tickets')
+      .select('id'), source)
+      .is('removal_status', null)
+      .gte('date_occurred', params.startdate)
+      .lt('date_occurred', params.enddate)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      console.error('Error fetching stored tickets for reconciliation:', error);
+      throw error;
+    }
+
+    missingIds = missingIds.concat(data.map(t => t.id).filter(id => !fetchedIds.has(id)));
+
+    if (data.length < pageSize) break;
+    from += pageSize;
+  }
+
+  if (missingIds.length === 0) {
+    console.log('  No missing tickets');
+    return 0;
+  }
+
+  console.log(`  ${missingIds.length} stored tickets were not returned by HaloPSA, checking each...`);
+
+  let removedCount = 0;
+
+  for (const ticketId of missingIds) {
+    let removal;
+
+    try {
+      removal = await checkRemovedTicket(source, ticketId);
+    } catch (error) {
+      // Leave the ticket alone - the next full sync will check it again
+      console.warn(`  Could not check ticket ${ticketId}:`, error.response?.status || error.message);
+      continue;
+    }
+
+    if (!removal) continue;
+
+    const { error } = await supabase
+      .from('tickets')
+      .update({
+        removal_status: removal.status,
+        removal_reason: removal.reason,
+        merged_into_id: removal.mergedIntoId,
+        removed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', ticketId);
+
+    if (error) {
+      console.error(`Error marking ticket ${ticketId} as ${removal.status}:`, error);
+      throw error;
+    }
+
+    console.log(`  Ticket ${ticketId}: ${removal.reason}`);
+    removedCount++;
+  }
+
+  console.log(`Marked ${removedCount} tickets as deleted or merged`);
+
+  return removedCount;
+}
+
+// Transform and upsert a page of tickets from a HaloPSA source
+// Returns { ids, changed } - the stored ticket IDs and how many were new or modified
+async function storeTickets(source, tickets, statusCategories) {
+  const transformedTickets = tickets.map(ticket => transformTicket(source, ticket, statusCategories));
+
+  // Work out how many tickets are actually new or modified before overwriting them
+  const changed = await countChangedTickets(transformedTickets);
+
+  const { error } = await supabase
+    .from('tickets')
+    .upsert(transformedTickets, { onConflict: 'id' });
+
+  if (error) {
+    console.error('Error upserting tickets:', error);
+    throw error;
+  }
+
+  return { ids: transformedTickets.map(t => t.id), changed };
+}
+
+// Work out which tickets a sync fetches: those changed since the stored watermark
+// (incremental) or every ticket in the monthsBack window (full). Incremental falls
+// back to full when no watermark has been recorded yet.
+// Returns { mode, params, resumeKey } - params are the HaloPSA query parameters
+async function getTicketFetch(source, monthsBack, requestedMode) {
+  const watermark = requestedMode === 'incremental' ? await getWatermark(sourceKey(source, 'tickets')) : null;
+
+  if (!watermark && requestedMode === 'incremental') {
+    console.log('\nNo ticket watermark recorded - falling back to full window sync');
+  }
+
+  if (watermark) {
+    const since = new Date(watermark.getTime() - WATERMARK_OVERLAP_MS);
+
+    console.log(`\n=== Syncing Tickets (changed since ${since.toISOString()}) ===`);
+
+    return {
+      mode: 'incremental',
+      params: {
+        datesearch: 'lastactiondate',
+        startdate: since.toISOString(),
+        enddate: new Date().toISOString()
+      },
+      resumeKey: `incremental:${watermark.toISOString()}`
+    };
+  }
+
+  console.log(`\n=== Syncing Tickets (last ${monthsBack} months) ===`);
+
+  // Calculate date range
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setMonth(startDate.getMonth() - monthsBack);
+
+  const startDateStr = startDate.toISOString().split('T')[0];
+  const endDateStr = endDate.toISOString().split('T')[0];
+
+  console.log(`Fetching tickets from ${startDateStr} to ${endDateStr}`);
+
+  return {
+    mode: 'full',
+    params: {
+      startdate: startDateStr,
+      enddate: endDateStr
+    },
+    resumeKey: `full:${monthsBack}`
+  };
+}
+
+// Sync tickets from a HaloPSA source to Supabase
+// options.mode: 'incremental' (default) fetches tickets changed since the stored
+// watermark, 'full' fetches every ticket in the monthsBack window. Incremental
+// falls back to full when no watermark has been recorded yet.
+// Each page is stored as it arrives, so a failed fetch resumes from its checkpoint.
+async function syncTickets(source, monthsBack = 12, options = {}) {
+  const requestedMode = options.mode || 'incremental';
+  const syncKey = sourceKey(source, 'tickets');
+  let mode = 'full';
+
+  try {
+    const ticketFetch = await getTicketFetch(source, monthsBack, requestedMode);
+    const { params, resumeKey } = ticketFetch;
+    mode = ticketFetch.mode;
+
+    const resume = await resumeFromCheckpoint(syncKey, resumeKey, params);
+    const statusCategories = await loadStatusCategories();
+
+    let syncedCount = 0;
+    let changedCount = 0;
+    let newestActionDate = null;
+    const fetchedIds = new Set();
+
+    await fetchAllItems(source, 'Tickets', resume.params, {
+      startPage: resume.startPage,
+      checkpoint: { syncType: syncKey, resumeKey, runId: options.run?.id },
+      onProgress: progress => reportRunProgress(options.run, progress),
+      onItems: async tickets => {
+        if (tickets.length === 0) return;
+
+        const stored = await storeTickets(source, tickets, statusCategories);
+        stored.ids.forEach(id => fetchedIds.add(id));
+
+        tickets.forEach(ticket => {
+          const actionDate = parseUtcDate(ticket.lastactiondate);
+          if (actionDate && (!newestActionDate || actionDate > newestActionDate)) {
+            newestActionDate = actionDate;
+          }
+        });
+
+        changedCount += stored.changed;
+        syncedCount += stored.ids.length;
+      }
+    });
+
+    console.log(`${changedCount} of ${syncedCount} tickets are new or changed`);
+    console.log(`Successfully synced ${syncedCount} tickets`);
+
+    // Deleted tickets simply stop appearing, so they can only be detected when every
+    // ticket in the window was fetched by this run
+    let removedCount = 0;
+
+    if (mode === 'full' && resume.startPage === 1) {
+      removedCount = await reconcileTickets(source, resume.params, fetchedIds);
+    } else if (mode === 'full') {
+      console.log('Skipping deleted/merged ticket check - this fetch was resumed part way through');
+    }
+
+    // Update last_ticket_date for each client
+    console.log('Updating client last ticket dates...');
+    const { error: updateError } = await supabase.rpc('update_client_last_ticket_dates');
+
+    if (updateError && !updateError.message.includes('does not exist')) {
+      console.warn('Note: update_client_last_ticket_dates function not found. You may need to create it manually.');
+    }
+
+    // Advance the watermark to the newest last action date this sync fetched. Stored
+    // tickets aren't used, as the webhook receiver writes tickets the poller hasn't seen.
+    // A resumed fetch only knows its own pages, so the watermark may lag and the next
+    // sync re-reads a little - it is never moved backwards.
+    const previousWatermark = await getWatermark(syncKey);
+
+    if (newestActionDate && (!previousWatermark || newestActionDate > previousWatermark)) {
+      await setWatermark(syncKey, newestActionDate);
+    }
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'tickets',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: syncedCount,
+      records_changed: changedCount,
+      sync_mode: mode,
+      status: 'success'
+    });
+
+    return {
+      mode,
+      synced: syncedCount,
+      changed: changedCount,
+      removed: removedCount
+    };
+  } catch (error) {
+    console.error('Error syncing tickets:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'tickets',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      sync_mode: mode,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Store a single ticket pushed by a HaloPSA source's webhook, mapped the same way as syncTickets
+// Each event is recorded in webhook_deliveries, rather than the sync history, so that gaps
+// in webhook delivery can be spotted without webhooks crowding out sync results
+async function syncWebhookTicket(source, ticket) {
+  try {
+    const transformedTicket = transformTicket(source, ticket, await loadStatusCategories());
+
+    // The client may be newer than the last full sync (tickets.client_id is a foreign key)
+    const { error: clientError } = await supabase
+      .from('clients')
+      .upsert({
+        id: transformedTicket.client_id,
+        halo_source: source.name,
+        name: ticket.client_name || `Client ${ticket.client_id}`,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'id', ignoreDuplicates: true });
+
+    if (clientError) {
+      console.error('Error adding webhook ticket client:', clientError);
+      throw clientError;
+    }
+
+    const changedCount = await countChangedTickets([transformedTicket]);
+
+    const { error } = await supabase
+      .from('tickets')
+      .upsert(transformedTicket, { onConflict: 'id' });
+
+    if (error) {
+      console.error('Error upserting webhook ticket:', error);
+      throw error;
+    }
+
+    // Feedback may have arrived before the ticket did
+    await linkPendingFeedback([transformedTicket.id]);
+
+    await recordWebhookDelivery(source, {
+      ticket_id: transformedTicket.id,
+      changed: changedCount > 0,
+      status: 'success'
+    });
+
+    return { ticketId: transformedTicket.id, changed: changedCount > 0 };
+  } catch (error) {
+    console.error(`Error syncing webhook ticket ${ticket.id}:`, error);
+
+    await recordWebhookDelivery(source, {
+      status: 'failed',
+      error_message: `Ticket ${ticket.id}: ${error.message}`
+    });
+
+    throw error;
+  }
+}
+
+// Record one webhook delivery of a source (see migrations/026-webhook-deliveries.sql)
+async function recordWebhookDelivery(source, fields) {
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      halo_source: source.name,
+      ...fields,
+      received_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.warn('Could not record webhook delivery:', error.message);
+  }
+}
+
+// Return the subset of ticket IDs that exist in our tickets table
+async function findExistingTicketIds(ticketIds) {
+  const uniqueIds = [...new Set(ticketIds.filter(Boolean))];
+  const existingIds = new Set();
+  const chunkSize = 200;
+
+  for (let i = 0; i < uniqueIds.length; i += chunkSize) {
+    const { data, error } = await supabase
+      .from('tickets')
+      .select('id')
+      .in('id', uniqueIds.slice(i, i + chunkSize));
+
+    if (error) {
+      console.error('Error checking existing tickets:', error);
+      throw error;
+    }
+
+    data.forEach(t => existingIds.add(t.id));
+  }
+
+  return existingIds;
+}
+
+// Map a HaloPSA action of a source to a ticket_actions row (HaloPSA reports time in decimal hours)
+function transformAction(source, action) {
+  const billableHours = action.actionchargehours || 0;
+
+  return {
+    id: toStoredId(source, action.id),
+    ticket_id: toStoredId(source, action.ticket_id),
+    agent_id: toStoredId(source, action.who_agentid || action.agent_id || null),
+    agent_name: action.who || null,
+    action_date: action.datetime || action.actiondatecreated,
+    outcome: action.outcome || null,
+    note: action.note || null,
+    minutes: Math.round((action.timetaken || 0) * 60 * 100) / 100,
+    billable_minutes: Math.round(billableHours * 60 * 100) / 100,
+    billable: billableHours > 0,
+    charge_rate: action.chargerate ?? null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Transform and upsert a page of actions from a HaloPSA source
+// Returns { synced, skipped } - skipped actions belong to tickets we don't have or have no date
+async function storeActions(source, actions) {
+  const mappedActions = actions.map(action => transformAction(source, action));
+
+  // Only keep actions for tickets we have (ticket_actions.ticket_id is a foreign key)
+  const existingTicketIds = await findExistingTicketIds(mappedActions.map(a => a.ticket_id));
+
+  const transformedActions = mappedActions
+    .filter(action => existingTicketIds.has(action.ticket_id))
+    .filter(action => action.action_date);
+
+  const skipped = actions.length - transformedActions.length;
+
+  if (transformedActions.length === 0) {
+    return { synced: 0, skipped };
+  }
+
+  const { error } = await supabase
+    .from('ticket_actions')
+    .upsert(transformedActions, { onConflict: 'id' });
+
+  if (error) {
+    console.error('Error upserting actions:', error);
+    throw error;
+  }
+
+  return { synced: transformedActions.length, skipped };
+}
+
+// Sync ticket actions (time entries) from a HaloPSA source to Supabase
+// Uses the same incremental/full modes as syncTickets, keyed on the action date
+async function syncActions(source, monthsBack = 12, options = {}) {
+  const requestedMode = options.mode || 'incremental';
+  const syncKey = sourceKey(source, 'actions');
+  let mode = 'full';
+
+  try {
+    const watermark = requestedMode === 'incremental' ? await getWatermark(syncKey) : null;
+
+    if (watermark) {
+      mode = 'incremental';
+    } else if (requestedMode === 'incremental') {
+      console.log('\nNo action watermark recorded - falling back to full window sync');
+    }
+
+    const endDate = new Date();
+    let startDate;
+    let resumeKey;
+
+    if (mode === 'incremental') {
+      startDate = new Date(watermark.getTime() - WATERMARK_OVERLAP_MS);
+      resumeKey = `incremental:${watermark.toISOString()}`;
+      console.log(`\n=== Syncing Actions (since ${startDate.toISOString()}) ===`);
+    } else {
+      startDate = new Date();
+      startDate.setMonth(startDate.getMonth() - monthsBack);
+      resumeKey = `full:${monthsBack}`;
+      console.log(`\n=== Syncing Actions (last ${monthsBack} months) ===`);
+    }
+
+    const resume = await resumeFromCheckpoint(syncKey, resumeKey, {
+      startdate: startDate.toISOString(),
+      enddate: endDate.toISOString(),
+      excludesys: true
+    });
+
+    let syncedCount = 0;
+    let skippedCount = 0;
+
+    await fetchAllItems(source, 'Actions', resume.params, {
+      startPage: resume.startPage,
+      checkpoint: { syncType: syncKey, resumeKey, runId: options.run?.id },
+      onProgress: progress => reportRunProgress(options.run, progress),
+      onItems: async actions => {
+        const stored = await storeActions(source, actions);
+
+        syncedCount += stored.synced;
+        skippedCount += stored.skipped;
+      }
+    });
+
+    if (skippedCount > 0) {
+      console.log(`  Skipped ${skippedCount} actions for tickets not in database`);
+    }
+
+    console.log(`Successfully synced ${syncedCount} actions`);
+
+    const newestActionDate = await getNewestStoredDate(source, 'ticket_actions', 'action_date');
+
+    if (newestActionDate) {
+      await setWatermark(syncKey, newestActionDate);
+    }
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'actions',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: syncedCount,
+      sync_mode: mode,
+      status: 'success'
+    });
+
+    return syncedCount;
+  } catch (error) {
+    console.error('Error syncing actions:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'actions',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      sync_mode: mode,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Fetch feedback from a HaloPSA source, newest first
+// The Feedback endpoint returns a plain array, so paging stops at the first short page.
+// With since, only feedback dated from then on is returned, and paging stops at the
+// first page that reaches back past it.
+async function fetchAllFeedback(source, run, since = null) {
+  let allFeedback = [];
+  let pageNo = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await haloGet(source, 'Feedback', {
+      pageinate: true,
+      page_size: HALO_PAGE_SIZE,
+      page_no: pageNo,
+      order: 'date',
+      orderdesc: true,
+      ...(since ? { startdate: since.toISOString() } : {})
+    });
+
+    // Feedback may be returned directly as an array
+    const items = Array.isArray(response.data) ? response.data : [];
+
+    if (items.length === 0) {
+      hasMore = false;
+    } else {
+      const newItems = since
+        ? items.filter(item => !item.date || parseUtcDate(item.date) >= since)
+        : items;
+
+      allFeedback = allFeedback.concat(newItems);
+      console.log(`  Page ${pageNo}: Fetched ${items.length} items, Total: ${allFeedback.length}`);
+
+      await reportRunProgress(run, { page: pageNo, fetched: allFeedback.length, total: null });
+
+      // If we got less than page_size, or reached feedback older than since, we've reached the end
+      if (items.length < HALO_PAGE_SIZE || newItems.length < items.length) {
+        hasMore = false;
+      } else {
+        pageNo++;
+      }
+    }
+  }
+
+  return allFeedback;
+}
+
+// Map a HaloPSA feedback entry of a source onto the feedback table
+function transformFeedback(source, feedback) {
+  return {
+    id: toStoredId(source, feedback.id),
+    ticket_id: toStoredId(source, feedback.ticket_id),
+    score: feedback.score,
+    score_band: feedback.score_band,
+    date: feedback.date,
+    comment: feedback.comment || null,
+    ip_address: feedback.ip_address || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Move queued feedback whose ticket has now been stored from pending_feedback into feedback
+// ticketIds limits the check to those tickets (null = all). Returns the number linked.
+async function linkPendingFeedback(ticketIds = null) {
+  const { data: linkedCount, error } = await supabase.rpc('link_pending_feedback', {
+    ticket_ids: ticketIds
+  });
+
+  if (error) {
+    console.error('Error linking pending feedback:', error);
+    throw error;
+  }
+
+  if (linkedCount > 0) {
+    console.log(`Linked ${linkedCount} pending feedback entries to their tickets`);
+  }
+
+  return linkedCount || 0;
+}
+
+// Sync feedback from a HaloPSA source to Supabase
+// options.mode: 'incremental' (default) fetches feedback dated since the stored watermark,
+// 'full' fetches all feedback. Incremental falls back to full when no watermark is recorded.
+// Feedback whose ticket isn't stored yet is queued in pending_feedback, and queued feedback
+// is linked once its ticket has been synced.
+// Returns { mode, synced, linked, queued }
+async function syncFeedback(source, options = {}) {
+  const requestedMode = options.mode || 'incremental';
+  const syncKey = sourceKey(source, 'feedback');
+  let mode = 'full';
+
+  try {
+    const watermark = requestedMode === 'incremental' ? await getWatermark(syncKey) : null;
+    let since = null;
+
+    if (watermark) {
+      mode = 'incremental';
+      since = new Date(watermark.getTime() - WATERMARK_OVERLAP_MS);
+      console.log(`\n=== Syncing Feedback (since ${since.toISOString()}) ===`);
+    } else {
+      if (requestedMode === 'incremental') {
+        console.log('\nNo feedback watermark recorded - fetching all feedback');
+      }
+      console.log('\n=== Syncing Feedback ===');
+    }
+
+    // Link feedback queued by earlier runs first, so it can't overwrite fresher copies below
+    const linkedCount = await linkPendingFeedback();
+
+    const allFeedback = await fetchAllFeedback(source, options.run, since);
+
+    console.log(`Fetched ${allFeedback.length} feedback entries from HaloPSA`);
+
+    // Only store feedback for tickets we have (feedback.ticket_id is a foreign key)
+    const transformedFeedback = allFeedback.map(feedback => transformFeedback(source, feedback));
+    const existingTicketIds = await findExistingTicketIds(transformedFeedback.map(f => f.ticket_id));
+    const readyFeedback = transformedFeedback.filter(f => existingTicketIds.has(f.ticket_id));
+    const orphanedFeedback = transformedFeedback.filter(f => !existingTicketIds.has(f.ticket_id));
+
+    if (readyFeedback.length > 0) {
+      const { error } = await supabase
+        .from('feedback')
+        .upsert(readyFeedback, { onConflict: 'id' });
+
+      if (error) {
+        console.error('Error upserting feedback:', error);
+        throw error;
+      }
+
+      console.log(`Successfully synced ${readyFeedback.length} feedback entries`);
+
+      // Calculate satisfaction stats
+      const totalWithScore = readyFeedback.filter(f => f.score).length;
+      const satisfied = readyFeedback.filter(f => f.score === 1).length;
+      const dissatisfied = readyFeedback.filter(f => f.score === 2).length;
+
+      console.log(`  Satisfaction: ${satisfied}/${totalWithScore} (${(satisfied/totalWithScore*100).toFixed(1)}%)`);
+      console.log(`  Dissatisfied: ${dissatisfied}/${totalWithScore} (${(dissatisfied/totalWithScore*100).toFixed(1)}%)`);
+    }
+
+    if (orphanedFeedback.length > 0) {
+      const { error } = await supabase
+        .from('pending_feedback')
+        .upsert(orphanedFeedback, { onConflict: 'id' });
+
+      if (error) {
+        console.error('Error queueing pending feedback:', error);
+        throw error;
+      }
+
+      console.log(`  Queued ${orphanedFeedback.length} feedback entries whose ticket isn't synced yet`);
+    }
+
+    // Advance the watermark to the newest feedback fetched (queued entries included)
+    const newestDate = allFeedback
+      .map(f => parseUtcDate(f.date))
+      .filter(Boolean)
+      .reduce((newest, date) => (!newest || date > newest ? date : newest), null);
+
+    if (newestDate && (!watermark || newestDate > watermark)) {
+      await setWatermark(syncKey, newestDate);
+    }
+
+    // Record sync metadata
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'feedback',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: readyFeedback.length + linkedCount,
+      sync_mode: mode,
+      status: 'success'
+    });
+
+    return {
+      mode,
+      synced: readyFeedback.length,
+      linked: linkedCount,
+      queued: orphanedFeedback.length
+    };
+  } catch (error) {
+    console.error('Error syncing feedback:', error);
+
+    // Record failed sync
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'feedback',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      sync_mode: mode,
+      status: 'failed',
+      error_message: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Number of example IDs stored with each data quality issue
+const DATA_QUALITY_SAMPLE_SIZE = 20;
+
+// Record anomalies left by a sync in data_quality_issues, as found by
+// find_data_quality_issues: tickets whose client isn't in clients, tickets with no
+// date_occurred and feedback queued because its ticket is missing. Every check is recorded on every run,
+// with a count of 0 when clean, so the latest run shows the current state.
+// Returns the total number of issues found, or null if the checks could not run - a
+// failed check is logged but doesn't fail the sync, whose data is already stored.
+async function checkDataQuality(runId) {
+  console.log('\n=== Checking Data Quality ===');
+
+  try {
+    const { data, error } = await supabase.rpc('find_data_quality_issues', {
+      sample_size: DATA_QUALITY_SAMPLE_SIZE
+    });
+
+    if (error) throw error;
+
+    const checkedAt = new Date().toISOString();
+
+    const issues = data.map(row => ({
+      run_id: runId,
+      issue_type: row.issue_type,
+      issue_count: row.issue_count,
+      sample_ids: row.sample_ids || [],
+      checked_at: checkedAt
+    }));
+
+    const { error: insertError } = await supabase
+      .from('data_quality_issues')
+      .insert(issues);
+
+    if (insertError) throw insertError;
+
+    issues.forEach(issue => {
+      const samples = issue.sample_ids.length > 0 ? ` (e.g. ${issue.sample_ids.slice(0, 5).join(', ')})` : '';
+      console.log(`  ${issue.issue_type}: ${issue.issue_count}${samples}`);
+    });
+
+    return issues.reduce((total, issue) => total + issue.issue_count, 0);
+  } catch (error) {
+    console.error('Error checking data quality:', error);
+    return null;
+  }
+}
+
+// Columns left out of dry-run diffs - they change on every sync
+const DIFF_IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Put a stored or incoming value in a comparable form: missing values are null,
+// timestamps (no zone = UTC) are ISO strings and objects are JSON
+function normaliseDiffValue(value) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    const date = parseUtcDate(value);
+    return date ? date.toISOString() : value;
+  }
+
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  return value;
+}
+
+// Compare records about to be upserted with the rows they would overwrite
+// Returns { new: [{ id, label }], changed: [{ id, label, changes }], unchanged } where
+// changes maps each differing field to { from, to }
+async function diffRecords(table, records, labelField) {
+  const diff = { new: [], changed: [], unchanged: 0 };
+
+  if (records.length === 0) return diff;
+
+  const fields = Object.keys(records[0]).filter(field => !DIFF_IGNORED_FIELDS.includes(field));
+  const chunkSize = 200;
+
+  for (let i = 0; i < records.length; i += chunkSize) {
+    const chunk = records.slice(i, i + chunkSize);
+
+    const { data: existing, error } = await supabase
+      .from(table)
+      .select(fields.join(', '))
+      .in('id', chunk.map(r => r.id));
+
+    if (error) {
+      console.error(`Error reading stored ${table} for dry run:`, error);
+      throw error;
+    }
+
+    const storedById = new Map(existing.map(row => [row.id, row]));
+
+    chunk.forEach(record => {
+      const stored = storedById.get(record.id);
+      const label = record[labelField] ?? null;
+
+      if (!stored) {
+        diff.new.push({ id: record.id, label });
+        return;
+      }
+
+      const changes = {};
+
+      fields.forEach(field => {
+        const from = normaliseDiffValue(stored[field]);
+        const to = normaliseDiffValue(record[field]);
+
+        if (from !== to) {
+          changes[field] = { from: stored[field] ?? null, to: record[field] ?? null };
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        diff.changed.push({ id: record.id, label, changes });
+      } else {
+        diff.unchanged++;
+      }
+    });
+  }
+
+  return diff;
+}
+
+// Add one page's diff to a running total
+function mergeDiff(total, diff) {
+  total.new.push(...diff.new);
+  total.changed.push(...diff.changed);
+  total.unchanged += diff.unchanged;
+}
+
+// Fetch clients, tickets and feedback from a HaloPSA source and report what a sync would
+// change, without writing to any of them. Tickets use the same incremental/full window as
+// syncTickets; deleted/merged ticket detection is not included.
+// Returns the report: { generatedAt, source, monthsBack, ticketMode, summary, clients, tickets, feedback }
+async function buildDryRunReport(source, monthsBack, options = {}) {
+  const { run = null } = options;
+
+  await setRunStage(run, 'clients');
+  console.log('\n=== Dry Run: Clients ===');
+
+  const clients = await fetchAllItems(source, 'Client', {}, {
+    onProgress: progress => reportRunProgress(run, progress)
+  });
+  const clientDiff = await diffRecords('clients', clients.map(client => transformClient(source, client)), 'name');
+
+  await setRunStage(run, 'tickets');
+
+  const ticketFetch = await getTicketFetch(source, monthsBack, options.mode || 'incremental');
+  const statusCategories = await loadStatusCategories();
+  const ticketDiff = { new: [], changed: [], unchanged: 0 };
+  const fetchedTicketIds = new Set();
+
+  await fetchAllItems(source, 'Tickets', ticketFetch.params, {
+    onProgress: progress => reportRunProgress(run, progress),
+    onItems: async tickets => {
+      const transformedTickets = tickets.map(ticket => transformTicket(source, ticket, statusCategories));
+      transformedTickets.forEach(t => fetchedTicketIds.add(t.id));
+
+      mergeDiff(ticketDiff, await diffRecords('tickets', transformedTickets, 'summary'));
+    }
+  });
+
+  await setRunStage(run, 'feedback');
+  console.log('\n=== Dry Run: Feedback ===');
+
+  const feedbackWatermark = (options.mode || 'incremental') === 'incremental'
+    ? await getWatermark(sourceKey(source, 'feedback'))
+    : null;
+  const allFeedback = (await fetchAllFeedback(
+    source,
+    run,
+    feedbackWatermark ? new Date(feedbackWatermark.getTime() - WATERMARK_OVERLAP_MS) : null
+  )).map(feedback => transformFeedback(source, feedback));
+
+  // A real sync stores feedback for tickets it has stored by then, and queues the rest
+  const storedTicketIds = await findExistingTicketIds(allFeedback.map(f => f.ticket_id));
+  const keptFeedback = allFeedback.filter(f =>
+    f.ticket_id && (storedTicketIds.has(f.ticket_id) || fetchedTicketIds.has(f.ticket_id))
+  );
+
+  const feedbackDiff = await diffRecords('feedback', keptFeedback, 'ticket_id');
+  feedbackDiff.pending = allFeedback.length - keptFeedback.length;
+
+  const summarise = diff => ({
+    new: diff.new.length,
+    changed: diff.changed.length,
+    unchanged: diff.unchanged
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: source.name,
+    monthsBack,
+    ticketMode: ticketFetch.mode,
+    summary: {
+      clients: summarise(clientDiff),
+      tickets: summarise(ticketDiff),
+      feedback: { ...summarise(feedbackDiff), pending: feedbackDiff.pending }
+    },
+    clients: clientDiff,
+    tickets: ticketDiff,
+    feedback: feedbackDiff
+  };
+}
+
+// Store a dry-run report so it can be downloaded from the API
+async function saveDryRunReport(runId, report) {
+  const { error } = await supabase
+    .from('sync_reports')
+    .upsert({ run_id: runId, report }, { onConflict: 'run_id' });
+
+  if (error) {
+    console.warn('Could not store dry run report:', error.message);
+  }
+}
+
+// Main sync function - syncs one HaloPSA source, options.haloSource (default primary)
+// options.mode is passed through to syncTickets ('incremental' or 'full')
+// options.runId tracks progress on an existing sync_runs row whose caller has
+// already taken the source's sync lock (getSyncLockName); otherwise the lock is taken
+// here and a new run is recorded using options.triggeredBy / options.source.
+// options.dryRun fetches clients, tickets and feedback but writes none of them; the
+// diff report (see buildDryRunReport) is stored in sync_reports and returned as report.
+// Throws an error with code SYNC_LOCKED (and runningRunId) if another sync of the source
+// holds the lock, or UNKNOWN_SOURCE if the source isn't configured.
+async function performFullSync(monthsBack = 12, options = {}) {
+  const source = await getSource(options.haloSource);
+  const lockName = getSyncLockName(source);
+
+  console.log(options.dryRun ? '=== Starting Dry Run Sync ===' : '=== Starting Full Sync ===');
+  console.log(`HaloPSA source: ${source.name}`);
+  console.log(`Time: ${new Date().toISOString()}`);
+
+  let runId = options.runId;
+
+  if (!runId) {
+    const newRunId = crypto.randomUUID();
+    const lock = await acquireSyncLock(newRunId, lockName);
+
+    if (!lock.acquired) {
+      const lockedError = new Error(`Another sync of HaloPSA source "${source.name}" is already running (run ${lock.holderRunId})`);
+      lockedError.code = 'SYNC_LOCKED';
+      lockedError.runningRunId = lock.holderRunId;
+      throw lockedError;
+    }
+
+    runId = await createSyncRun({
+      id: newRunId,
+      triggeredBy: options.triggeredBy,
+      source: options.source,
+      haloSource: source.name,
+      mode: options.mode,
+      monthsBack,
+      dryRun: options.dryRun
+    }) || newRunId;
+  }
+
+  const run = { id: runId, lockNames: [lockName] };
+
+  if (runId) {
+    activeRunIds.add(runId);
+    console.log(`Sync run: ${runId}`);
+  }
+
+  try {
+    if (options.dryRun) {
+      const report = await buildDryRunReport(source, monthsBack, { mode: options.mode, run });
+      await saveDryRunReport(runId, report);
+
+      console.log('\n=== Dry Run Complete (nothing written) ===');
+      Object.entries(report.summary).forEach(([type, counts]) => {
+        console.log(`${type}: ${counts.new} new, ${counts.changed} changed, ${counts.unchanged} unchanged`);
+      });
+
+      const result = { haloSource: source.name, dryRun: true, ticketSyncMode: report.ticketMode, summary: report.summary };
+      await finishSyncRun(run, 'success', { result });
+
+      return { runId, ...result, report };
+    }
+
+    await setRunStage(run, 'clients');
+    const clientCount = await syncClients(source, { run });
+
+    await setRunStage(run, 'sites');
+    const siteCount = await syncSites(source, { run });
+
+    await setRunStage(run, 'users');
+    const endUserCount = await syncEndUsers(source, { run });
+
+    await setRunStage(run, 'teams');
+    const teamCount = await syncTeams(source);
+
+    await setRunStage(run, 'agents');
+    const agentCount = await syncAgents(source);
+
+    await setRunStage(run, 'statuses');
+    const statusCount = await syncStatuses(source);
+
+    await setRunStage(run, 'lookups');
+    const ticketTypeCount = await syncTicketTypes(source);
+    const categoryCount = await syncCategories(source);
+    const priorityCount = await syncPriorities(source);
+
+    await setRunStage(run, 'tickets');
+    const ticketResult = await syncTickets(source, monthsBack, { mode: options.mode, run });
+
+    await setRunStage(run, 'actions');
+    const actionCount = await syncActions(source, monthsBack, { mode: options.mode, run });
+
+    await setRunStage(run, 'feedback');
+    const feedbackResult = await syncFeedback(source, { mode: options.mode, run });
+
+    await setRunStage(run, 'data_quality');
+    const dataQualityIssues = await checkDataQuality(runId);
+
+    console.log('\n=== Sync Complete ===');
+    console.log(`HaloPSA source: ${source.name}`);
     console.log(`Clients synced: ${clientCount}`);
-    console.log(`Tickets synced: ${ticketCount}`);
-    console.log(`Feedback synced: ${feedbackCount}`);
+    console.log(`Sites synced: ${siteCount}`);
+    console.log(`End users synced: ${endUserCount}`);
+    console.log(`Teams synced: ${teamCount}`);
+    console.log(`Agents synced: ${agentCount}`);
+    console.log(`Statuses synced: ${statusCount}`);
+    console.log(`Ticket types / categories / priorities synced: ${ticketTypeCount} / ${categoryCount} / ${priorityCount}`);
+    console.log(`Tickets synced: ${ticketResult.synced} (${ticketResult.mode}, ${ticketResult.changed} changed, ${ticketResult.removed} deleted/merged)`);
+    console.log(`Actions synced: ${actionCount}`);
+    console.log(`Feedback synced: ${feedbackResult.synced} (${feedbackResult.mode}, ${feedbackResult.linked} linked from pending, ${feedbackResult.queued} queued)`);
+    console.log(`Data quality issues: ${dataQualityIssues === null ? 'check failed' : dataQualityIssues}`);
     console.log(`Finished: ${new Date().toISOString()}`);
 
-    return { clientCount, ticketCount, feedbackCount };
+    const result = {
+      haloSource: source.name,
+      clientCount,
+      siteCount,
+      endUserCount,
+      teamCount,
+      agentCount,
+      statusCount,
+      ticketTypeCount,
+      categoryCount,
+      priorityCount,
+      ticketCount: ticketResult.synced,
+      ticketsChanged: ticketResult.changed,
+      ticketSyncMode: ticketResult.mode,
+      ticketsRemoved: ticketResult.removed,
+      actionCount,
+      feedbackCount: feedbackResult.synced,
+      feedbackLinked: feedbackResult.linked,
+      feedbackQueued: feedbackResult.queued,
+      dataQualityIssues
+    };
+
+    await finishSyncRun(run, 'success', { result });
+
+    return { runId, ...result };
   } catch (error) {
     console.error('\n=== Sync Failed ===');
     console.error(error);
+
+    await finishSyncRun(run, error.code === 'SYNC_CANCELLED' ? 'cancelled' : 'failed', { error });
+
+    throw error;
+  } finally {
+    activeRunIds.delete(runId);
+    await releaseSyncLock(runId, lockName);
+  }
+}
+
+// Backfill throttling - a backfill can run for hours, so it paces its HaloPSA requests
+// to leave capacity for the regular sync
+const BACKFILL_PAGE_DELAY_MS = intFromEnv('BACKFILL_PAGE_DELAY_MS', 1000);
+const BACKFILL_CHUNK_DELAY_MS = intFromEnv('BACKFILL_CHUNK_DELAY_MS', 5000);
+// How often a paused backfill checks whether the regular sync has finished
+const BACKFILL_WAIT_POLL_MS = 30 * 1000;
+
+// YYYY-MM-DD for a UTC date
+function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Calendar months from monthsBack months ago up to the current one, oldest first
+// Returns [{ start, end }] as YYYY-MM-DD, where end is the first day of the next month
+function getBackfillMonths(monthsBack) {
+  const now = new Date();
+  const months = [];
+
+  for (let offset = monthsBack; offset >= 0; offset--) {
+    months.push({
+      start: formatDay(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1))),
+      end: formatDay(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset + 1, 1)))
+    });
+  }
+
+  return months;
+}
+
+// Months a previous backfill of a source finished, as a Set of month_start dates
+async function loadCompletedBackfillMonths(source) {
+  const { data, error } = await supabase
+    .from('backfill_chunks')
+    .select('month_start')
+    .eq('halo_source', source.name)
+    .eq('status', 'done');
+
+  if (error) {
+    console.error('Error loading backfill checkpoints:', error);
+    throw error;
+  }
+
+  return new Set(data.map(chunk => chunk.month_start));
+}
+
+// Record the state of one backfill month of a source
+async function recordBackfillChunk(source, month, fields) {
+  const { error } = await supabase
+    .from('backfill_chunks')
+    .upsert({
+      halo_source: source.name,
+      month_start: month.start,
+      month_end: month.end,
+      ...fields,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'halo_source,month_start' });
+
+  if (error) {
+    console.warn(`Could not record backfill checkpoint for ${month.start}:`, error.message);
+  }
+}
+
+// Take the source's full sync lock for the backfill run, pausing while a regular sync
+// holds it, so the two never write the same tickets at once
+async function takeRegularSyncLock(source, run) {
+  let paused = false;
+
+  while (true) {
+    const lock = await acquireSyncLock(run.id, getSyncLockName(source));
+
+    if (lock.acquired) {
+      if (paused) console.log('Regular sync finished, resuming backfill');
+      return;
+    }
+
+    if (!paused) {
+      console.log(`Regular sync ${lock.holderRunId} is running, pausing backfill until it finishes`);
+      paused = true;
+    }
+
+    // Keep the backfill lock alive while waiting, and stop waiting if the backfill is cancelled
+    await checkRunCancelled(run);
+    await refreshSyncLock(run.id, run.lockNames);
+    await sleep(BACKFILL_WAIT_POLL_MS);
+  }
+}
+
+// Backfill one calendar month of a source: the tickets logged in it, then the actions
+// Both are checkpointed page by page, so an interrupted month resumes part way through
+// Returns { tickets, actions, removed }
+async function backfillMonth(source, month, run, statusCategories) {
+  const label = month.start.slice(0, 7);
+  const resumeKey = `backfill:${month.start}`;
+  const ticketsKey = sourceKey(source, 'backfill_tickets');
+  const actionsKey = sourceKey(source, 'backfill_actions');
+
+  await setRunStage(run, `tickets ${label}`);
+
+  const ticketResume = await resumeFromCheckpoint(ticketsKey, resumeKey, {
+    startdate: month.start,
+    enddate: month.end
+  });
+
+  let ticketCount = 0;
+  const fetchedIds = new Set();
+
+  await fetchAllItems(source, 'Tickets', ticketResume.params, {
+    startPage: ticketResume.startPage,
+    pageDelayMs: BACKFILL_PAGE_DELAY_MS,
+    checkpoint: { syncType: ticketsKey, resumeKey, runId: run.id },
+    onProgress: progress => reportRunProgress(run, progress),
+    onItems: async tickets => {
+      if (tickets.length === 0) return;
+
+      const stored = await storeTickets(source, tickets, statusCategories);
+      stored.ids.forEach(id => fetchedIds.add(id));
+      ticketCount += stored.ids.length;
+    }
+  });
+
+  // Same rule as syncTickets - deletions can only be spotted when the whole month was fetched
+  const removedCount = ticketResume.startPage === 1
+    ? await reconcileTickets(source, ticketResume.params, fetchedIds)
+    : 0;
+
+  await setRunStage(run, `actions ${label}`);
+
+  const actionResume = await resumeFromCheckpoint(actionsKey, resumeKey, {
+    startdate: month.start,
+    enddate: month.end,
+    excludesys: true
+  });
+
+  let actionCount = 0;
+
+  await fetchAllItems(source, 'Actions', actionResume.params, {
+    startPage: actionResume.startPage,
+    pageDelayMs: BACKFILL_PAGE_DELAY_MS,
+    checkpoint: { syncType: actionsKey, resumeKey, runId: run.id },
+    onProgress: progress => reportRunProgress(run, progress),
+    onItems: async actions => {
+      const stored = await storeActions(source, actions);
+      actionCount += stored.synced;
+    }
+  });
+
+  console.log(`${label}: ${ticketCount} tickets, ${actionCount} actions, ${removedCount} deleted/merged`);
+
+  return { tickets: ticketCount, actions: actionCount, removed: removedCount };
+}
+
+// Backfill ticket and action history month by month, oldest first, for onboarding a
+// client with a long HaloPSA history. Only one month is held in memory at a time.
+// Finished months are recorded in backfill_chunks and skipped by later runs, so an
+// interrupted backfill continues where it stopped; options.restart redoes every month.
+// The backfill takes its own lock, and the full sync lock only while it writes a month,
+// so the regular sync can run between months. It pauses while the regular sync runs and waits BACKFILL_PAGE_DELAY_MS / BACKFILL_CHUNK_DELAY_MS between
+// pages / months. Backfills one HaloPSA source, options.haloSource (default primary).
+// Throws an error with code SYNC_LOCKED if another backfill of the source is running.
+async function performBackfill(monthsBack, options = {}) {
+  const source = await getSource(options.haloSource);
+  const lockName = sourceKey(source, BACKFILL_LOCK_NAME);
+  const syncLockName = getSyncLockName(source);
+
+  console.log(`=== Starting Backfill (last ${monthsBack} months) ===`);
+  console.log(`HaloPSA source: ${source.name}`);
+  console.log(`Time: ${new Date().toISOString()}`);
+
+  const runId = crypto.randomUUID();
+  const lock = await acquireSyncLock(runId, lockName);
+
+  if (!lock.acquired) {
+    const lockedError = new Error(`Another backfill of HaloPSA source "${source.name}" is already running (run ${lock.holderRunId})`);
+    lockedError.code = 'SYNC_LOCKED';
+    lockedError.runningRunId = lock.holderRunId;
+    throw lockedError;
+  }
+
+  await createSyncRun({
+    id: runId,
+    triggeredBy: options.triggeredBy,
+    source: options.source,
+    haloSource: source.name,
+    mode: 'backfill',
+    monthsBack
+  });
+
+  const run = { id: runId, lockNames: [lockName, syncLockName] };
+
+  activeRunIds.add(runId);
+  console.log(`Sync run: ${runId}`);
+
+  try {
+    const months = getBackfillMonths(monthsBack);
+    const completed = options.restart ? new Set() : await loadCompletedBackfillMonths(source);
+    const pending = months.filter(month => !completed.has(month.start));
+
+    console.log(`${months.length - pending.length} of ${months.length} months already backfilled`);
+
+    // Tickets reference their client, and take their category from the status list
+    await takeRegularSyncLock(source, run);
+
+    await setRunStage(run, 'clients');
+    await syncClients(source, { run });
+
+    await setRunStage(run, 'statuses');
+    await syncStatuses(source);
+
+    await releaseSyncLock(runId, syncLockName);
+
+    const statusCategories = await loadStatusCategories();
+    const totals = { months: 0, tickets: 0, actions: 0, removed: 0 };
+
+    for (const [index, month] of pending.entries()) {
+      if (index > 0) {
+        await sleep(BACKFILL_CHUNK_DELAY_MS);
+      }
+
+      await takeRegularSyncLock(source, run);
+
+      console.log(`\n=== Backfilling ${month.start.slice(0, 7)} (${index + 1}/${pending.length}) ===`);
+
+      await recordBackfillChunk(source, month, {
+        status: 'running',
+        run_id: runId,
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        error_message: null
+      });
+
+      let monthResult;
+
+      try {
+        monthResult = await backfillMonth(source, month, run, statusCategories);
+      } catch (error) {
+        await recordBackfillChunk(source, month, {
+          status: 'failed',
+          finished_at: new Date().toISOString(),
+          error_message: error.message
+        });
+
+        throw error;
+      } finally {
+        // Let the regular sync run between months
+        await releaseSyncLock(runId, syncLockName);
+      }
+
+      await recordBackfillChunk(source, month, {
+        status: 'done',
+        tickets_synced: monthResult.tickets,
+        actions_synced: monthResult.actions,
+        tickets_removed: monthResult.removed,
+        finished_at: new Date().toISOString()
+      });
+
+      totals.months++;
+      totals.tickets += monthResult.tickets;
+      totals.actions += monthResult.actions;
+      totals.removed += monthResult.removed;
+    }
+
+    const { error: updateError } = await supabase.rpc('update_client_last_ticket_dates');
+
+    if (updateError) {
+      console.warn('Could not update client last ticket dates:', updateError.message);
+    }
+
+    // Feedback queued for tickets older than the regular sync window can be linked now
+    const feedbackLinked = await linkPendingFeedback();
+
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'backfill',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: totals.tickets,
+      sync_mode: 'backfill',
+      status: 'success'
+    });
+
+    console.log('\n=== Backfill Complete ===');
+    console.log(`Months backfilled: ${totals.months} (${months.length - pending.length} skipped)`);
+    console.log(`Tickets synced: ${totals.tickets} (${totals.removed} deleted/merged)`);
+    console.log(`Actions synced: ${totals.actions}`);
+    console.log(`Pending feedback linked: ${feedbackLinked}`);
+    console.log(`Finished: ${new Date().toISOString()}`);
+
+    const result = {
+      haloSource: source.name,
+      monthsBackfilled: totals.months,
+      monthsSkipped: months.length - pending.length,
+      ticketCount: totals.tickets,
+      ticketsRemoved: totals.removed,
+      actionCount: totals.actions,
+      feedbackLinked
+    };
+
+    await finishSyncRun(run, 'success', { result });
+
+    return { runId, ...result };
+  } catch (error) {
+    console.error('\n=== Backfill Failed ===');
+    console.error(error);
+
+    await supabase.from('sync_metadata').insert({
+      sync_type: 'backfill',
+      halo_source: source.name,
+      last_sync: new Date().toISOString(),
+      records_synced: 0,
+      sync_mode: 'backfill',
+      status: 'failed',
+      error_message: error.message
+    });
+
+    await finishSyncRun(run, error.code === 'SYNC_CANCELLED' ? 'cancelled' : 'failed', { error });
+
     throw error;
+  } finally {
+    activeRunIds.delete(runId);
+    await releaseSyncLock(runId, syncLockName);
+    await releaseSyncLock(runId, lockName);
+  }
+}
+
+// Run a sync of every configured source in turn (e.g. performFullSync or performBackfill),
+// carrying on with the other sources when one fails
+// runSync is called with each source's name; returns [{ source, result }] or [{ source, error }]
+async function forEachSource(runSync) {
+  const outcomes = [];
+
+  for (const source of await getSources()) {
+    try {
+      outcomes.push({ source: source.name, result: await runSync(source.name) });
+    } catch (error) {
+      outcomes.push({ source: source.name, error });
+    }
   }
+
+  return outcomes;
 }
 
 // Export functions
 module.exports = {
   syncClients,
+  syncSites,
+  syncEndUsers,
+  syncTeams,
+  syncAgents,
+  syncStatuses,
+  syncTicketTypes,
+  syncCategories,
+  syncPriorities,
   syncTickets,
+  syncWebhookTicket,
+  syncActions,
   syncFeedback,
   performFullSync,
+  performBackfill,
+  forEachSource,
+  getSources,
+  getSource,
+  getSyncLockName,
+  acquireSyncLock,
+  releaseSyncLock,
+  createSyncRun,
+  markInterruptedRuns,
   supabase
 };
 
 // Run sync if called directly
+// Usage: node sync-service.js [monthsBack] [--full] [--source=<name>]
+//        node sync-service.js [monthsBack] [--full] --dry-run [--source=<name>]
+//        node sync-service.js <monthsBack> --backfill [--restart] [--source=<name>]
+// Without --source every configured HaloPSA source is synced in turn.
 if (require.main === module) {
-  const monthsBack = process.argv[2] ? parseInt(process.argv[2]) : 12;
+  const args = process.argv.slice(2);
+  const monthsArg = args.find(arg => !arg.startsWith('--'));
+  const monthsBack = monthsArg ? parseInt(monthsArg) : 12;
+  const mode = args.includes('--full') ? 'full' : 'incremental';
+  const sourceArg = args.find(arg => arg.startsWith('--source='));
+  const sourceName = sourceArg ? sourceArg.slice('--source='.length) : null;
+
+  if (monthsArg && (!/^\d+$/.test(monthsArg) || monthsBack < 1)) {
+    console.error(`monthsBack must be a positive whole number, got "${monthsArg}"`);
+    process.exit(1);
+  }
 
-  performFullSync(monthsBack)
-    .then(() => {
-      console.log('\nSync completed successfully');
-      process.exit(0);
-    })
-    .catch((error) => {
-      console.error('\nSync failed:', error);
+  // Record the run as interrupted if the container stops mid-sync
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, async () => {
+      console.log(`\n${signal} received, marking sync run as interrupted`);
+      await markInterruptedRuns();
       process.exit(1);
     });
+  });
+
+  const runSync = haloSource => args.includes('--backfill')
+    ? performBackfill(monthsBack, { restart: args.includes('--restart'), source: 'cli', haloSource })
+    : performFullSync(monthsBack, { mode, dryRun: args.includes('--dry-run'), source: 'cli', haloSource });
+
+  const sync = sourceName
+    ? runSync(sourceName).then(result => [{ source: sourceName, result }], error => [{ source: sourceName, error }])
+    : forEachSource(runSync);
+
+  sync.then(outcomes => {
+    let failed = false;
+
+    outcomes.forEach(({ source, result, error }) => {
+      if (error && error.code === 'SYNC_LOCKED') {
+        // Not a failure - e.g. a sync started from the dashboard is still running
+        console.log(`\nSkipping sync of ${source}: ${error.message}`);
+      } else if (error) {
+        console.error(`\nSync of ${source} failed:`, error);
+        failed = true;
+      } else {
+        if (result.report) {
+          const reportFile = `sync-dry-run-${result.runId}.json`;
+          fs.writeFileSync(reportFile, JSON.stringify(result.report, null, 2));
+          console.log(`\nDry run report for ${source} written to ${reportFile}`);
+        }
+
+        console.log(`\nSync of ${source} completed successfully`);
+      }
+    });
+
+    process.exit(failed ? 1 : 0);
+  }).catch(error => {
+    // e.g. HALO_SOURCES can't be parsed
+    console.error('\nSync failed:', error);
+    process.exit(1);
+  });
 }
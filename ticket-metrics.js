@@ -0,0 +1,526 @@
+// Ticket timing, SLA, status, breakdown, hours and per-period calculations shared by the dashboard, report endpoints and scheduled report deliveries
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row for a query, paging past the Supabase row limit
+ *
+ * @param {Function} buildQuery - Returns a fresh, ordered query builder on each call
+ * @returns {Promise<Array>} All matching rows
+ */
+async function fetchAllRows(buildQuery) {
+  let rows = [];
+  let from = 0;
+
+  while (true) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows = rows.concat(data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+
+    from += PAGE_SIZE;
+  }
+}
+
+/**
+ * Hours between two timestamps, or null if either is missing
+ */
+function hoursBetween(start, end) {
+  if (!start || !end) return null;
+  return (new Date(end) - new Date(start)) / HOUR_MS;
+}
+
+function roundHours(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Nearest-rank percentile of an ascending sorted array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Summarise a list of durations in hours (nulls and negatives are ignored)
+ *
+ * @param {Array<number|null>} hours
+ * @returns {{ count: number, mean: number|null, median: number|null, p90: number|null }}
+ */
+function summariseDurations(hours) {
+  const sorted = hours.filter(h => h !== null && h >= 0).sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, median: null, p90: null };
+  }
+
+  const total = sorted.reduce((sum, h) => sum + h, 0);
+
+  return {
+    count: sorted.length,
+    mean: roundHours(total / sorted.length),
+    median: roundHours(percentile(sorted, 50)),
+    p90: roundHours(percentile(sorted, 90))
+  };
+}
+
+/**
+ * Load SLA targets for the companies that HaloPSA clients are mapped to
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Array<number>|null} clientIds - Clients to load targets for (null = all)
+ * @returns {Promise<Function>} getTarget(clientId, priorityId) => target row or null
+ */
+async function loadSlaTargets(supabase, clientIds = null) {
+  let mappingsQuery = supabase
+    .from('company_halopsa_clients')
+    .select('company_id, halopsa_client_id');
+
+  if (clientIds !== null) {
+    mappingsQuery = mappingsQuery.in('halopsa_client_id', clientIds);
+  }
+
+  const [{ data: mappings, error: mappingsError }, { data: targets, error: targetsError }] = await Promise.all([
+    mappingsQuery,
+    supabase.from('sla_targets').select('company_id, priority_id, response_hours, resolution_hours')
+  ]);
+
+  if (mappingsError) throw mappingsError;
+  if (targetsError) throw targetsError;
+
+  const companiesByClient = new Map();
+  mappings.forEach(m => {
+    if (!companiesByClient.has(m.halopsa_client_id)) {
+      companiesByClient.set(m.halopsa_client_id, []);
+    }
+    companiesByClient.get(m.halopsa_client_id).push(m.company_id);
+  });
+
+  const targetsByKey = new Map(targets.map(t => [`${t.company_id}:${t.priority_id}`, t]));
+
+  // A client mapped to several companies uses the first company with a target
+  return (clientId, priorityId) => {
+    const companyIds = companiesByClient.get(clientId) || [];
+
+    for (const companyId of companyIds) {
+      const target = targetsByKey.get(`${companyId}:${priorityId}`);
+      if (target) return target;
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Check one SLA stage of a ticket against its target
+ * Returns 'met', 'breached' or null (no target, or still within target)
+ */
+function evaluateStage(start, end, targetHours, now) {
+  if (targetHours === null || targetHours === undefined || !start) return null;
+
+  const elapsed = hoursBetween(start, end || now);
+  if (elapsed === null) return null;
+
+  if (elapsed > Number(targetHours)) return 'breached';
+  return end ? 'met' : null;
+}
+
+function complianceSummary(results) {
+  const met = results.filter(r => r === 'met').length;
+  const breached = results.filter(r => r === 'breached').length;
+  const measured = met + breached;
+
+  return {
+    met,
+    breached,
+    compliance: measured > 0 ? Math.round(met / measured * 1000) / 10 : null
+  };
+}
+
+/**
+ * Response/resolution time statistics and SLA compliance for a set of tickets
+ *
+ * Tickets need date_occurred, response_date, date_closed, client_id and priority_id.
+ * Open tickets count as breached once they pass their target.
+ *
+ * @param {Array} tickets
+ * @param {Function|null} getTarget - From loadSlaTargets (null = timings only)
+ * @param {Date} now - Reference time for open tickets
+ */
+function calculateSlaStats(tickets, getTarget = null, now = new Date()) {
+  const responseResults = [];
+  const resolutionResults = [];
+
+  tickets.forEach(ticket => {
+    const target = getTarget ? getTarget(ticket.client_id, ticket.priority_id) : null;
+    if (!target) return;
+
+    responseResults.push(evaluateStage(ticket.date_occurred, ticket.response_date, target.response_hours, now));
+    resolutionResults.push(evaluateStage(ticket.date_occurred, ticket.date_closed, target.resolution_hours, now));
+  });
+
+  return {
+    firstResponseHours: summariseDurations(tickets.map(t => hoursBetween(t.date_occurred, t.response_date))),
+    resolutionHours: summariseDurations(tickets.map(t => hoursBetween(t.date_occurred, t.date_closed))),
+    responseSla: complianceSummary(responseResults),
+    resolutionSla: complianceSummary(resolutionResults)
+  };
+}
+
+// Status categories an admin can assign to a HaloPSA status
+const STATUS_CATEGORIES = ['open', 'on_hold', 'awaiting_customer', 'closed'];
+
+/**
+ * Count tickets per status category
+ *
+ * Tickets synced before statuses were classified have no status_category and are
+ * counted as open or closed from is_closed.
+ *
+ * @param {Array} tickets - Tickets with status_category and is_closed
+ * @returns {{ open: number, on_hold: number, awaiting_customer: number, closed: number }}
+ */
+function countStatusCategories(tickets) {
+  const counts = Object.fromEntries(STATUS_CATEGORIES.map(category => [category, 0]));
+
+  tickets.forEach(ticket => {
+    const category = STATUS_CATEGORIES.includes(ticket.status_category)
+      ? ticket.status_category
+      : (ticket.is_closed ? 'closed' : 'open');
+
+    counts[category]++;
+  });
+
+  return counts;
+}
+
+/**
+ * Load ticket type and priority names synced from HaloPSA
+ *
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{ types: Map<number, string>, priorities: Map<number, string> }>}
+ */
+async function loadTicketLookups(supabase) {
+  const [{ data: types, error: typesError }, { data: priorities, error: prioritiesError }] = await Promise.all([
+    supabase.from('ticket_types').select('id, name'),
+    supabase.from('ticket_priorities').select('id, name')
+  ]);
+
+  if (typesError) throw typesError;
+  if (prioritiesError) throw prioritiesError;
+
+  return {
+    types: new Map(types.map(t => [t.id, t.name])),
+    priorities: new Map(priorities.map(p => [p.id, p.name]))
+  };
+}
+
+/**
+ * Add display names to [{ id, count }] counts, most common first
+ */
+function nameBreakdown(counts, names, fallbackLabel) {
+  return counts
+    .map(({ id, count }) => ({
+      id,
+      name: id === null ? 'None' : names.get(id) || `${fallbackLabel} ${id}`,
+      count
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Sum synced HaloPSA action time for a client's tickets over a date range
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {number} clientId
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {Promise<{ totalHours: number, billableHours: number, nonBillableHours: number }>}
+ *   Hours rounded to 2 decimal places
+ */
+async function getClientHours(supabase, clientId, startDate, endDate) {
+  const actions = await fetchAllRows(() => supabase
+    .from('ticket_actions')
+    .select('minutes, billable_minutes, tickets!inner(client_id, removal_status)')
+    .eq('tickets.client_id', clientId)
+    .is('tickets.removal_status', null)
+    .gte('action_date', startDate)
+    .lte('action_date', endDate)
+    .order('id', { ascending: true }));
+
+  const totalMinutes = actions.reduce((sum, a) => sum + Number(a.minutes || 0), 0);
+  const billableMinutes = actions.reduce((sum, a) => sum + Number(a.billable_minutes || 0), 0);
+  const toHours = minutes => Math.round(minutes / 60 * 100) / 100;
+
+  return {
+    totalHours: toHours(totalMinutes),
+    billableHours: toHours(billableMinutes),
+    nonBillableHours: toHours(totalMinutes - billableMinutes)
+  };
+}
+
+// Period lengths ticket stats can be grouped by
+const BUCKET_SIZES = ['week', 'month', 'quarter'];
+
+/**
+ * Display label of a period, e.g. "January 2025", "Q1 2025" or "Week of 2025-01-06"
+ */
+function periodLabel(bucketStart, bucket) {
+  const date = new Date(`${bucketStart}T00:00:00Z`);
+
+  if (bucket === 'week') return `Week of ${bucketStart}`;
+  if (bucket === 'quarter') return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`;
+
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Ticket counts, breakdowns, hours and SLA stats per week, month or quarter
+ *
+ * Aggregated in the database by ticket_period_stats (migrations/023-ticket-period-stats.sql).
+ * Every period in the range is returned, including ones without tickets.
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {Array<number>} options.clientIds
+ * @param {string} options.startDate - First day of the range (YYYY-MM-DD, inclusive)
+ * @param {string} options.endDate - Last day of the range (YYYY-MM-DD, inclusive)
+ * @param {string} [options.bucket='month'] - One of BUCKET_SIZES
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the dates and periods are in
+ * @returns {Promise<Array<Object>>} [{ label, bucketStart, startDate, endDate, totalTickets,
+ *   closedTickets, openTickets, statusCategories, byType, byPriority, totalHours, billableHours,
+ *   nonBillableHours, sla }] in date order
+ */
+async function getPeriodStats(supabase, { clientIds, startDate, endDate, bucket = 'month', timeZone = 'UTC' }) {
+  const [{ data: rows, error }, lookups] = await Promise.all([
+    supabase.rpc('ticket_period_stats', {
+      client_ids: clientIds,
+      range_start: startDate,
+      range_end: endDate,
+      bucket_size: bucket,
+      time_zone: timeZone
+    }),
+    loadTicketLookups(supabase).catch(lookupError => {
+      // Continue with IDs in place of names
+      console.warn('Error loading ticket lookups:', lookupError.message);
+      return { types: new Map(), priorities: new Map() };
+    })
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  return rows.map(row => ({
+    label: periodLabel(row.bucket_start, bucket),
+    bucketStart: row.bucket_start,
+    startDate: row.period_start,
+    endDate: row.period_end,
+    totalTickets: row.total_tickets,
+    closedTickets: row.closed_tickets,
+    openTickets: row.total_tickets - row.closed_tickets,
+    statusCategories: row.status_categories,
+    byType: nameBreakdown(row.by_type, lookups.types, 'Type'),
+    byPriority: nameBreakdown(row.by_priority, lookups.priorities, 'Priority'),
+    totalHours: Number(row.total_hours),
+    billableHours: Number(row.billable_hours),
+    nonBillableHours: Number(row.non_billable_hours),
+    sla: {
+      firstResponseHours: toDurationSummary(row.first_response_hours),
+      resolutionHours: toDurationSummary(row.resolution_hours),
+      responseSla: row.response_sla,
+      resolutionSla: row.resolution_sla
+    }
+  }));
+}
+
+/**
+ * Percentage change from a previous value, rounded to 1 decimal place
+ *
+ * @returns {number|null} null if either value is missing or the previous value is 0
+ */
+function percentChange(current, previous) {
+  if (current === null || previous === null || previous === 0) return null;
+  return Math.round((current - previous) / previous * 1000) / 10;
+}
+
+/**
+ * A metric value as a number (some rates are strings, e.g. "87.5"), or undefined if the
+ * value isn't a metric
+ */
+function toMetricValue(value) {
+  if (value === null || typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return undefined;
+}
+
+/**
+ * Compare the numeric metrics of a period with another period's
+ *
+ * Walks nested objects. Arrays (breakdowns) and other non-numeric fields are left out.
+ *
+ * @param {Object} current - Metrics of the period being reported
+ * @param {Object|null} other - The same metrics for the period to compare with (null = no data)
+ * @returns {{ values: Object, change: Object }} The other period's values and the percentage
+ *   change from them (see percentChange), both shaped like the metrics
+ */
+function compareMetrics(current, other) {
+  const values = {};
+  const change = {};
+
+  Object.entries(current).forEach(([key, value]) => {
+    const otherValue = other ? other[key] : undefined;
+    const metric = toMetricValue(value);
+
+    if (metric !== undefined) {
+      values[key] = toMetricValue(otherValue) ?? null;
+      change[key] = percentChange(metric, values[key]);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = compareMetrics(value, otherValue && typeof otherValue === 'object' ? otherValue : null);
+      values[key] = nested.values;
+      change[key] = nested.change;
+    }
+  });
+
+  return { values, change };
+}
+
+/**
+ * Add months and/or days to a date (YYYY-MM-DD)
+ */
+function shiftDate(date, { months = 0, days = 0 }) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+// Where the previous period and the same period a year earlier start, relative to a period's
+// start (a year of weeks is 52 weeks so that weeks still start on the same weekday)
+const COMPARISON_OFFSETS = {
+  week: { previous: { days: -7 }, yearAgo: { days: -364 } },
+  month: { previous: { months: -1 }, yearAgo: { months: -12 } },
+  quarter: { previous: { months: -3 }, yearAgo: { months: -12 } }
+};
+
+/**
+ * Period stats (see getPeriodStats) with each period compared to the period before it and to
+ * the same period a year earlier
+ *
+ * The year before the range is loaded with a second ticket_period_stats call. A period the
+ * range cuts short (e.g. a partial first week) is still compared with whole periods.
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options - Same as getPeriodStats
+ * @returns {Promise<Array<Object>>} The periods of getPeriodStats, each with
+ *   comparison: { previousPeriod, yearOverYear }. Both are { label, startDate, endDate,
+ *   values, change } (see compareMetrics), with null values when there is no data.
+ */
+async function getPeriodStatsWithComparison(supabase, options) {
+  const offsets = COMPARISON_OFFSETS[options.bucket || 'month'];
+
+  const [periods, history] = await Promise.all([
+    getPeriodStats(supabase, options),
+    getPeriodStats(supabase, {
+      ...options,
+      startDate: shiftDate(options.startDate, offsets.yearAgo),
+      endDate: shiftDate(options.startDate, { days: -1 })
+    })
+  ]);
+
+  // Periods more than a year into the range are compared with periods of the range itself
+  const byBucketStart = new Map([...history, ...periods].map(period => [period.bucketStart, period]));
+
+  return periods.map(period => {
+    const compareWith = offset => {
+      const other = byBucketStart.get(shiftDate(period.bucketStart, offset)) || null;
+
+      return {
+        label: other ? other.label : null,
+        startDate: other ? other.startDate : null,
+        endDate: other ? other.endDate : null,
+        ...compareMetrics(period, other)
+      };
+    };
+
+    return {
+      ...period,
+      comparison: {
+        previousPeriod: compareWith(offsets.previous),
+        yearOverYear: compareWith(offsets.yearAgo)
+      }
+    };
+  });
+}
+
+/**
+ * Number of tickets open at the end of each day of a range
+ *
+ * Calculated in the database from date_occurred and date_closed by ticket_backlog_series
+ * (migrations/025-ticket-backlog-series.sql).
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {Array<number>|null} options.clientIds - Clients to count (null = every client)
+ * @param {string} options.startDate - First day (YYYY-MM-DD)
+ * @param {string} options.endDate - Last day (YYYY-MM-DD)
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the days are in
+ * @returns {Promise<Array<{ date: string, backlog: number }>>} One entry per day, in date order
+ */
+async function getBacklogSeries(supabase, { clientIds, startDate, endDate, timeZone = 'UTC' }) {
+  const { data: rows, error } = await supabase.rpc('ticket_backlog_series', {
+    client_ids: clientIds,
+    range_start: startDate,
+    range_end: endDate,
+    time_zone: timeZone
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return rows.map(row => ({ date: row.day, backlog: row.backlog }));
+}
+
+/**
+ * Duration summary from the database, with numeric values as numbers
+ */
+function toDurationSummary(summary) {
+  const toNumber = value => value === null ? null : Number(value);
+
+  return {
+    count: summary.count,
+    mean: toNumber(summary.mean),
+    median: toNumber(summary.median),
+    p90: toNumber(summary.p90)
+  };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  STATUS_CATEGORIES,
+  BUCKET_SIZES,
+  fetchAllRows,
+  countStatusCategories,
+  loadTicketLookups,
+  hoursBetween,
+  summariseDurations,
+  loadSlaTargets,
+  calculateSlaStats,
+  getClientHours,
+  getPeriodStats,
+  getPeriodStatsWithComparison,
+  compareMetrics,
+  getBacklogSeries
+};